@@ -35,11 +35,29 @@
  */
 var iDebugConsole = function() {
 
+    // Marks the first line of iDebugConsole, stack frames from here to moduleEnd are internal.
+    // Errors are thrown since IE only sets the stack of thrown errors.
+    var moduleStart
+    try { throw new Error() } catch (e) { moduleStart = e }
+
+    // The native console methods, iDebugConsole calls these so intercepted calls are not mirrored.
+    var nativeConsole = {}
+    for (var method in window.console)
+        if (typeof window.console[method] == 'function')
+            nativeConsole[method] = window.console[method]
+
+    // Console methods taking a label, condition or columns instead of a message, they are passed to the
+    // native console without a prefix or location.
+    var labelMethods = ['table', 'dir', 'dirxml', 'count', 'countReset', 'time', 'timeLog', 'timeEnd', 'assert', 'groupEnd']
+
     /**
 	 * @memberof iDebugConsole
      * @class Debugger is the class responsible for controlling weather a debug statement is ignored, output to the
      * browser console or iDebugConsole.  Debug output is disabled by default, enable output by setting window.iDebugMode
-     * = true/false prior to loading iDebugConsole.js.  This is especially useful when used with a back end framework such
+     * = true/false prior to loading iDebugConsole.js.  window.iDebugMode may also be set to a level name ("warn") to
+     * only output statements of that severity or higher, or to a namespace pattern ("app:*,-app:view") to only enable
+     * matching objects.  A namespace pattern may also be stored in localStorage.iDebugMode to enable output on a device
+     * without changing the page.  This is especially useful when used with a back end framework such
      * as django which supplies it's own debug flag.  To toggle the global debug flag use the global method of any
      * Debugger instance or Debugger.prototype.
      *
@@ -61,6 +79,12 @@ var iDebugConsole = function() {
      *
      *      this.debug('This will be output to the console')
      *      this.debug.warn('It supports all valid console methods')
+     *
+     *      // Only output warnings and errors globally
+     *      iDebugger.globalState('warn')
+     *
+     *      // Only enable the objects of debuggers in the "app" namespace except app:view
+     *      iDebugger.enable('app:*,-app:view')
      * </script>
      *
      * The iDebugConsole window is disabled by default, output will be directed only to the native console window.
@@ -114,12 +138,17 @@ var iDebugConsole = function() {
      * @param {object} objects
      * Specify included objects as {objectName:object} pairs.
      *
-     * @param {boolean} state [false]
-     * Initial debug output state for all objects true=on false=off.
+     * @param {boolean|string|object} state [false]
+     * Initial debug output state for all objects true=on false=off, a level threshold such as "warn"
+     * or an object of {objectName:state} pairs.  See {@link Debugger.levels} for valid levels.
      *
      * @param {object} options
      * An object containing valid options.
      *
+     * @param {string} options.namespace
+     * Namespace of this instance. Each object is namespaced as "namespace:objectName" and may be
+     * enabled or disabled with {@link Debugger.enable}.
+     *
      * @param {bool} options.prefixConsole [true]
      * Prepend the prefix to console output.
      *
@@ -146,6 +175,19 @@ var iDebugConsole = function() {
      * Alter the location properties to output. See {@link LogLocation} for all avalable properties.
      * > NOT IMPLEMENTED YET
      *
+     * @param {bool} options.sourceMaps [false]
+     * Resolve locations of bundled or minified code to the original source with source maps.  Maps
+     * are loaded asynchronously, locations are updated in the view when their map is loaded.
+     *
+     * @param {bool} options.record [false]
+     * Record console output for {@link Debugger.records}. Output to the view is always recorded.
+     * Console output is also recorded while a transport is added with {@link Debugger.addTransport}.
+     * > The native console will show a Debugger location for recorded statements.
+     *
+     * @param {integer} options.recordLimit [500]
+     * The number of records kept.  The records of all debuggers share one buffer so the limit is
+     * global, set it with iDebugger.setGlobalOptions({recordLimit:1000}).
+     *
      *
      * @example <caption>Instantiate a Debugger within a class for class level control.</caption>
      * function MyClass (){
@@ -166,16 +208,44 @@ var iDebugConsole = function() {
      *
      * //turn off the MyClass.model debugger only
      * myClass.iDebug.off('model')
+     *
+     * //only output warnings and errors from MyClass.model
+     * myClass.iDebug.on('model', 'warn')
+     *
+     * @example <caption>Unregister a debugger when its closure is destroyed.</caption>
+     * // Removes the debugger from the registry and silences the debug methods of its objects
+     * myClass.iDebug.unregister()
+     * // List the objects of all registered debuggers and their state
+     * iDebugger.objects()
+     *
+     * @example <caption>Inspect what was logged.</caption>
+     * // All warnings and errors logged by any "model" object in the last minute
+     * iDebugger.records({level:'warn', object:'model', since:Date.now() - 60000})
+     * // All records with a message matching the text
+     * iDebugger.records({text:/timeout/i})
+     *
+     * @example <caption>Get the logs off a device without a console.</caption>
+     * // Download all records as newline delimited JSON
+     * iDebugger.exportLogs('ndjson', 'download')
+     * // Copy all records as plain text to the clipboard
+     * iDebugger.exportLogs('text', 'copy')
+     *
+     * @example <caption>Forward debug output to a collector endpoint.</caption>
+     * iDebugger.addTransport(new iDebugConsole.HttpTransport({url:'/debug/logs', level:'info'}))
+     * iDebugger.addTransport(new iDebugConsole.WebSocketTransport({url:'ws://192.168.1.10:8080'}))
      */
     function Debugger(objects, state, options) {
         //TODO: auto recognise model, view, ctrl from self object
         /**
          * The objects to debug as {key:value} pairs.  The key should
-         * be a string used to refer to the object
+         * be a string used to refer to the object.  A copy, unregister does not change
+         * the objects passed in.
          * @type {Object}
          * @private
          */
-        this._objects = objects;
+        this._objects = {}
+        for (var key in objects)
+            this._objects[key] = objects[key]
         this.options = options || {}
         // init debugger
         this.init(state);
@@ -187,15 +257,50 @@ var iDebugConsole = function() {
         // Console supports string formatting
         var consoleSFSupport = !(/MSIE|Edge/i.test(navigator.userAgent))
 
-        //Tracks all debugger objects for global control.
-        var allDebuggers = []
+        //Tracks all registered debuggers for global control.
+        var registry = []
+
+        //Provides a unique id for each debugger.
+        var nextId = 1
+
+        //Holds the most recent log records.
+        var records = null
 
-        //Tracks the global debug state.
-        var globalDebug = window.iDebugMode !== undefined ? window.iDebugMode : false
+        //Transports receiving every log record.
+        var transports = []
+
+        /**
+         * Console levels ordered by severity. A statement is output when its level is at or above
+         * the global threshold and the threshold of the object calling debug.  Console methods not
+         * listed here (group, table, dir...) are treated as "log".
+         * @type {Object.<level,integer>}
+         * @memberof Debugger
+         */
+        var levels = {trace:0, debug:1, log:2, info:3, warn:4, error:5, off:6}
+
+        //The initial debug mode, a level or namespace pattern may be stored on the device.
+        var initialMode = window.iDebugMode !== undefined ? window.iDebugMode : storedMode()
+
+        //Tracks the global debug threshold.
+        var globalDebug = isPattern(initialMode) ? 'trace' : toThreshold(initialMode)
+
+        //Tracks the namespace patterns set with enable().
+        var namespacePatterns = isPattern(initialMode) ? modePatterns(initialMode) :
+            isPattern(storedMode()) ? modePatterns(storedMode()) : null
 
         //The console view.
         var view = false
 
+        //The wrappers of the native console methods while the console is intercepted.
+        var interceptors = null
+
+        //Object name of intercepted console calls.
+        var consoleCaller = {_debugObjectName: 'console', _debugNamespace: 'console'}
+
+        //The native console methods intercepted by interceptConsole().
+        var interceptMethods = ['log', 'info', 'warn', 'error', 'debug', 'trace', 'dir', 'dirxml', 'table',
+            'group', 'groupCollapsed', 'groupEnd', 'time', 'timeLog', 'timeEnd', 'count', 'countReset', 'assert']
+
         /**
          * Global options
          * @type {{}}
@@ -208,20 +313,217 @@ var iDebugConsole = function() {
             prefixFunctionName:true,
             prefixInstanceId:'id',
             prefixInstanceProps:[],
-            locationProps:["loc.file", "loc.func", "loc.line", "loc.col"]
+            locationProps:["loc.file", "loc.func", "loc.line", "loc.col"],
+            record:false,
+            recordLimit:500,
+            sourceMaps:false
         }
 
 
         /**
          * Sets and gets the global debug state.
-         * @param state {boolean} - Toggle the global debug state.
+         * @param state {boolean|string} - Toggle the global debug state or set a global level threshold.
+         * @returns {string} The global level threshold ("off" when disabled).
          * @memberof Debugger
          */
         var globalState = function (state) {
-            if (state)
-                globalDebug = state
-            else
-                return globalDebug
+            if (state !== undefined) {
+                globalDebug = toThreshold(state)
+                for (var i in registry)
+                    bind.call(registry[i])
+            }
+            return globalDebug
+        }
+
+        /**
+         * Converts a debug state to a level threshold.  Other truthy values turn debugging on, an
+         * unknown string is warned about since it may be a misspelled level.
+         * @param state {boolean|string} true/"on", false/"off" or a level name.
+         * @returns {string} A key of {@link Debugger.levels}
+         * @private
+         */
+        function toThreshold(state) {
+            if (!state || state === 'false')
+                return 'off'
+            if (levels[state] !== undefined)
+                return state
+            if (typeof state == 'string' && state !== 'on' && state !== 'true')
+                nativeConsole.warn.call(console, 'iDebugError: "' + state + '" is not a valid debug level, ' +
+                    'debugging is turned on.')
+            return 'trace'
+        }
+
+        /**
+         * Reads the debug mode stored in localStorage.iDebugMode.
+         * @returns {string|undefined}
+         * @private
+         */
+        function storedMode() {
+            try {
+                return window.localStorage.getItem('iDebugMode') || undefined
+            } catch (e) {
+                // storage is not available (private mode, sandboxed frame)
+            }
+        }
+
+        /**
+         * Determines if a debug mode is a namespace pattern rather than a state.
+         * @param mode {*}
+         * @returns {boolean}
+         * @private
+         */
+        function isPattern(mode) {
+            return typeof mode == 'string' && mode !== 'on' && mode !== 'true' && mode !== 'false' &&
+                levels[mode] === undefined
+        }
+
+        /**
+         * Parses a comma or space separated list of namespace patterns.  Use "*" as a wildcard
+         * and prefix a pattern with "-" to exclude matching namespaces.
+         * @param patterns {string}
+         * @returns {{str:string, include:RegExp[], exclude:RegExp[]}}
+         * @private
+         */
+        function parsePatterns(patterns) {
+            var parsed = {str: patterns, include: [], exclude: []}
+            var split = patterns.split(/[\s,]+/)
+            for (var i in split) {
+                var pattern = split[i]
+                if (!pattern) continue
+                var list = pattern[0] == '-' ? parsed.exclude : parsed.include
+                pattern = pattern.replace(/^-/, '').replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+                list.push(new RegExp('^' + pattern.replace(/\*/g, '.*?') + '$'))
+            }
+            return parsed
+        }
+
+        /**
+         * Parses the namespace patterns of a debug mode and warns when the mode is one word that
+         * looks like a misspelled level, it would turn off all objects instead.
+         * @param patterns {string}
+         * @returns {{str:string, include:RegExp[], exclude:RegExp[]}}
+         * @private
+         */
+        function modePatterns(patterns) {
+            var word = patterns.trim().toLowerCase()
+            // namespaces have a ":" or "*" and short names such as "io" are one edit from many words
+            if (word.length >= 4 && !/[\s,:*]/.test(word)) {
+                for (var level in levels) {
+                    // "logs" or "errors" are likely namespaces
+                    if (patterns == level || !word.indexOf(level) && word != level || editDistance(word, level) > 1)
+                        continue
+                    nativeConsole.warn.call(console, 'iDebugError: The namespace pattern "' + patterns +
+                        '" looks like a misspelled "' + level + '".')
+                    break
+                }
+            }
+            return parsePatterns(patterns)
+        }
+
+        // Edit distance of two strings, swapping adjacent characters is one edit
+        function editDistance(a, b) {
+            var d = []
+            for (var i = 0; i <= a.length; i++) {
+                d[i] = [i]
+                for (var j = 1; j <= b.length; j++) {
+                    if (!i) {
+                        d[i][j] = j
+                        continue
+                    }
+                    d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + (a[i - 1] == b[j - 1] ? 0 : 1))
+                    if (i > 1 && j > 1 && a[i - 1] == b[j - 2] && a[i - 2] == b[j - 1])
+                        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1)
+                }
+            }
+            return d[a.length][b.length]
+        }
+
+        /**
+         * Determines if a namespace is enabled by the current namespace patterns.
+         * @param namespace {string}
+         * @returns {boolean} Always true when no patterns are set.
+         * @memberof Debugger
+         */
+        function enabled(namespace) {
+            return namespacePatterns ? matches(namespacePatterns, namespace) : true
+        }
+
+        /**
+         * Determines if a namespace matches parsed namespace patterns.
+         * @param parsed {object} - Returned by parsePatterns().
+         * @param namespace {string}
+         * @returns {boolean}
+         * @private
+         */
+        function matches(parsed, namespace) {
+            for (var i in parsed.exclude)
+                if (parsed.exclude[i].test(namespace)) return false
+            for (var i in parsed.include)
+                if (parsed.include[i].test(namespace)) return true
+            return false
+        }
+
+        /**
+         * Enables all objects of every debugger with a namespace matching the patterns and
+         * disables all others.  Matching objects keep their level threshold unless they are off.
+         * Objects turned on or off with {@link Debugger.on}, {@link Debugger.off} or a state per
+         * object keep their state.  Patterns that look like a misspelled level are warned about.
+         * @param patterns {string} - Namespace patterns such as "app:*,-app:view".
+         * @returns {string} The patterns.
+         * @example <caption>Only enable output from app:model and app:ctrl</caption>
+         * iDebugger.enable('app:*,-app:view')
+         * @memberof Debugger
+         */
+        function enable(patterns) {
+            if (patterns && !isPattern(patterns))
+                throw ('iDebugError: "' + patterns + '" is a debug state, not a namespace pattern. ' +
+                    'Use iDebugger.globalState("' + patterns + '").')
+            namespacePatterns = modePatterns(patterns || '')
+            for (var i in registry)
+                applyPatterns.call(registry[i])
+            return namespacePatterns.str
+        }
+
+        /**
+         * Disables the objects of every debugger and clears the namespace patterns.  Objects
+         * turned on or off with {@link Debugger.on}, {@link Debugger.off} or a state per object
+         * keep their state, turn them off with off().
+         * @returns {string} The previous patterns, use to restore with enable().
+         * @memberof Debugger
+         */
+        function disable() {
+            var patterns = namespacePatterns ? namespacePatterns.str : ''
+            enable('')
+            namespacePatterns = null
+            return patterns
+        }
+
+        /**
+         * Sets the state of each object according to the namespace patterns.
+         * @memberof Debugger
+         * @private
+         */
+        function applyPatterns() {
+            if (!namespacePatterns) return
+            for (var k in this._objects) {
+                var obj = this._objects[k]
+                var current = obj._debug || 'off'
+                if (obj._debugExplicit) continue
+                obj._debug = !enabled(obj._debugNamespace) ? 'off' : current == 'off' ? 'trace' : current
+            }
+            bind.call(this)
+        }
+
+        /**
+         * Returns the severity of a console level.
+         * @param level {string}
+         * @returns {integer}
+         * @private
+         */
+        function severity(level) {
+            // failed assertions are shown as errors
+            if (level == 'assert') return levels.error
+            return levels[level] !== undefined ? levels[level] : levels.log
         }
 
         // Instance methods
@@ -230,29 +532,121 @@ var iDebugConsole = function() {
          * Initialize debugger for all included objects.  Adds this._debug,
          * this.debug(), this.debug.log(), this.debug.info(), this.debug.warn(),
          * and this.debug.error() to each included object with it's own context.
-         * @param state {boolean} - Initial debug state for all objects.
+         * @param state {boolean|string|object} - Initial debug state for all objects.
          * @memberof Debugger
          * @private
          */
         function init(state) {
 
-            if (state === undefined) console.log('You have not supplied a debug state for', this._objects)
-            allDebuggers = []
+            if (state === undefined) nativeConsole.log.call(console, 'You have not supplied a debug state for', this._objects)
             // Instance option overrides
             setOptions(this.options, this.options)
 
-            setState.call(this, state);
-
+            register.call(this)
             for (var key in this._objects) {
                 var obj = this._objects[key]
                 obj._debugObjectName = key
+                obj._debugNamespace = this.options.namespace ? this.options.namespace + ':' + key : key
                 obj.iDebugger = this
-                allDebuggers.push(obj)
-                obj.debug = debug.call(obj, undefined, this.options);
-                for (var level in console)
-                    if (typeof console[level] == 'function')
-                        obj.debug[level] = debug.call(obj, level, this.options);
             }
+
+            setState.call(this, state);
+            applyPatterns.call(this)
+        }
+
+        /**
+         * Creates the debug methods of all included objects.  Debug methods are bound
+         * to the console when created so they must be bound again when a state changes.
+         * @memberof Debugger
+         * @private
+         */
+        function bind() {
+            for (var key in this._objects)
+                bindDebug.call(this._objects[key], this.options)
+        }
+
+        /**
+         * Creates the debug methods of one object.
+         * @param options {object} - The debugger options.
+         * @private
+         */
+        function bindDebug(options) {
+            // this is the object calling debug
+            this.debug = debug.call(this, undefined, options);
+            for (var level in nativeConsole)
+                this.debug[level] = debug.call(this, level, options);
+        }
+
+        /**
+         * Adds this debugger to the registry.
+         * @memberof Debugger
+         * @private
+         */
+        function register() {
+            if (registry.indexOf(this) > -1) return
+            this.id = this.id || nextId++
+            registry.push(this)
+        }
+
+        /**
+         * Removes the specified object from this debugger or this debugger from the registry
+         * if no object key is specified.  The debug methods of removed objects are silenced.
+         * @param {string} [key] - Name given to object in objects perameter {@link Debugger~objects}.
+         * @returns {Debugger.state}
+         * @memberof Debugger
+         */
+        function unregister(key) {
+            var keys = key ? [key] : Object.keys(this._objects)
+            for (var i in keys) {
+                var obj = this._objects[keys[i]]
+                if (!obj) continue
+                obj._debug = 'off'
+                bindDebug.call(obj, this.options)
+                delete obj.iDebugger
+                delete this._objects[keys[i]]
+            }
+            var index = registry.indexOf(this)
+            if (index > -1 && (!key || !Object.keys(this._objects).length))
+                registry.splice(index, 1)
+            return this.state()
+        }
+
+        /**
+         * Returns all registered debuggers.
+         * @returns {Debugger[]}
+         * @memberof Debugger
+         */
+        function debuggers() {
+            return registry.slice(0)
+        }
+
+        /**
+         * Returns the objects of all registered debuggers, optionally only the objects
+         * with a namespace matching the specified patterns.
+         * @param {string} [patterns] - Namespace patterns such as "app:*,-app:view".
+         * @returns {Array.<{key:string, namespace:string, state:string, object:object, debugger:Debugger}>}
+         * @example
+         * iDebugger.objects('app:*')
+         * // [{key:"model", namespace:"app:model", state:"warn", object:{...}, debugger:Debugger}, ...]
+         * @memberof Debugger
+         */
+        function objects(patterns) {
+            var parsed = patterns ? parsePatterns(patterns) : null
+            var result = []
+            for (var i in registry) {
+                for (var k in registry[i]._objects) {
+                    var obj = registry[i]._objects[k]
+                    if (parsed && !matches(parsed, obj._debugNamespace)) continue
+                    result.push({
+                        key: k,
+                        namespace: obj._debugNamespace,
+                        state: obj._debug || 'off',
+                        object: obj,
+                        debugger: registry[i]
+                    })
+                }
+            }
+            return result
         }
 
         /**
@@ -278,12 +672,17 @@ var iDebugConsole = function() {
          * Initialize the console view.
          * @param state
          * @param options
+         * @returns {DebuggerView}
          * @memberof Debugger
          */
         function initView(state, options){
             view = new DebuggerView(this, state, options)
-            for (var i in allDebuggers)
-                init.call(allDebuggers[i].iDebugger, allDebuggers[i].iDebugger.state())
+            for (var i in registry)
+                bind.call(registry[i])
+            if (typeof state == 'object') options = state
+            if (options && options.interceptConsole)
+                interceptConsole()
+            return view
         }
 
         /**
@@ -291,52 +690,65 @@ var iDebugConsole = function() {
          * @param {string} [key] - Name given to object in objects perameter {@link Debugger~objects}.
          * @returns {Debugger.state}
          * @example <caption>Turn off debug output</caption>
-         * // Sets all included objects this._debug = false
+         * // Sets all included objects this._debug = "off"
          * myClass.debugger.off();
-         * // Sets myClass.model._debug = false
+         * // Sets myClass.model._debug = "off"
          * myClass.debugger.off("model");
          * @memberof Debugger
          */
         function off(key) {
-            return setState.call(this, false, key);
+            return setState.call(this, false, key, true);
         }
 
         /**
          * Turns on debugging for specified object or all abjects if no object key is specified.
          * @param {string} [key] - Name given to object in objects perameter {@link Debugger~objects}.
+         * @param {string} [level="trace"] - Only output statements of this level or higher.
          * @returns {Debugger.state}
          * @example <caption>Turn on debug output</caption>
-         * // Sets all included objects this._debug = true
+         * // Sets all included objects this._debug = "trace"
          * myClass.debugger.on();
-         * // Sets myClass.model._debug = true
+         * // Sets myClass.model._debug = "trace"
          * myClass.debugger.on("model");
+         * // Sets myClass.model._debug = "warn"
+         * myClass.debugger.on("model", "warn");
          * @memberof Debugger
          */
-        function on(key) {
-            return setState.call(this, true, key);
+        function on(key, level) {
+            return setState.call(this, level || true, key, true);
         }
 
         /**
          * Sets the debug state for the specified object or all abjects if no object key is
-         * specified.  Each objects state is stored in it's own property (this._debug = state).
+         * specified.  Each objects level threshold is stored in it's own property (this._debug = "warn").
          * This property will be created automatically.
-         * @param {boolean} state - Determines if debug output is on(true) or off(false).
+         * @param {boolean|string|object} state - Debug output on(true), off(false), a level threshold
+         * or an object of {objectName:state} pairs.
          * @param {string} [key] - Name given to object in objects perameter {@link Debugger~objects}.
+         * @param {bool} [explicit] - Namespace patterns do not change the state, true for a state
+         * per object by default.
          * @returns {Debugger.state}
          * @memberof Debugger
          * @private
          */
-        function setState(state, key) {
-            if (key)
-                this._objects[key]._debug = state;
+        function setState(state, key, explicit) {
+            if (explicit === undefined)
+                explicit = !!(state && typeof state == 'object')
+            if (key) {
+                if (!this._objects[key])
+                    throw ('iDebugError: "' + key + '" is not an object of this Debugger.')
+                this._objects[key]._debug = toThreshold(state);
+                this._objects[key]._debugExplicit = explicit
+            }
             else {
                 for (var k in this._objects) {
-                    if (typeof state !== 'boolean')
-                        state = state[k]
+                    var objState = state && typeof state == 'object' ? state[k] : state
                     // create private var for each object
-                    this._objects[k]._debug = state;
+                    this._objects[k]._debug = toThreshold(objState);
+                    this._objects[k]._debugExplicit = explicit
                 }
             }
+            bind.call(this)
             return this.state();
         }
 
@@ -352,23 +764,357 @@ var iDebugConsole = function() {
         function debug(level, options) {
             // this is the object calling debug
             level = level || "log"
-            if (!globalDebug || !this._debug)
+            if (severity(level) < levels[globalDebug] || severity(level) < levels[this._debug || 'off'])
                 return function () {};
 
             if (view)
                 return view.output.bind(this, level, options)
 
-            if (!options.prefixConsole)
-                return console[level].bind(window.console)
+            var bound
+            if (!options.prefixConsole || labelMethods.indexOf(level) > -1)
+                bound = nativeConsole[level].bind(window.console)
+            else {
+                var prefix = getPrefixArgs(arguments, this)
+                bound = nativeConsole[level].bind.apply(nativeConsole[level], [window.console].concat(prefix.prefixArray, prefix.msgArray))
+            }
+            if (!options.record && !transports.length)
+                return bound
+
+            var caller = this
+            return function () {
+                var call = consoleCall(level, arguments, caller)
+                if (call)
+                    addRecord(call.level, caller, options, call.args, new LogLocation({sourceMaps: options.sourceMaps}))
+                return bound.apply(window.console, arguments)
+            }
+        }
+
+        /**
+         * Adds a log record to the record buffer.
+         * @param level {string} - Console level
+         * @param caller {object} - The object calling debug
+         * @param options {object} - The debugger options
+         * @param args {arguments|Array} - The debug arguments
+         * @param loc {LogLocation}
+         * @returns {object|null} The record, null for groupEnd which only closes the group of the caller.
+         * @private
+         */
+        function addRecord(level, caller, options, args, loc) {
+            // groups are tracked per object, groupEnd only closes the group
+            var depth = caller._debugGroupDepth || 0
+            if (level == 'groupEnd') {
+                caller._debugGroupDepth = Math.max(depth - 1, 0)
+                return null
+            }
+            if (level == 'group' || level == 'groupCollapsed')
+                caller._debugGroupDepth = depth + 1
+
+            var limit = globalOptions.recordLimit
+            records = records || new LogBuffer(limit)
+            if (records.limit != limit)
+                records.resize(limit)
+
+            var record = {
+                time: Date.now(),
+                level: level,
+                object: caller._debugObjectName,
+                namespace: caller._debugNamespace,
+                id: options.prefixInstanceId ? caller[options.prefixInstanceId] : undefined,
+                prefix: getPrefix(caller, options, loc),
+                args: Array.prototype.slice.call(args, 0),
+                loc: loc,
+                depth: depth
+            }
+            records.push(record)
+            for (var i in transports)
+                try {
+                    transports[i].send(record)
+                } catch (e) {
+                    // a failing transport must not break the debug statement
+                }
+            return record
+        }
+
+        /**
+         * Adds a transport receiving every log record.  A transport may be any object with a
+         * send(record) method, see {@link Transport} for the built in transports.
+         * @param transport {Transport}
+         * @returns {Transport[]} All transports.
+         * @memberof Debugger
+         */
+        function addTransport(transport) {
+            if (!transport || typeof transport.send != 'function')
+                throw ('iDebugError: A transport must have a send(record) method.')
+            if (transports.indexOf(transport) < 0)
+                transports.push(transport)
+            for (var i in registry)
+                bind.call(registry[i])
+            return transports.slice(0)
+        }
+
+        /**
+         * Removes a transport after flushing it's queued records and closes it.
+         * @param transport {Transport}
+         * @returns {Transport[]} All transports.
+         * @memberof Debugger
+         */
+        function removeTransport(transport) {
+            var index = transports.indexOf(transport)
+            if (index > -1) {
+                transports.splice(index, 1)
+                if (typeof transport.flush == 'function') transport.flush()
+                if (typeof transport.close == 'function') transport.close()
+                for (var i in registry)
+                    bind.call(registry[i])
+            }
+            return transports.slice(0)
+        }
+
+        /**
+         * Wraps the native console methods so calls made by other scripts, such as third party libraries,
+         * are shown in the view and recorded as the object "console".  Calls are still forwarded to the
+         * native console.  Calls below the global threshold are only forwarded.
+         * @example
+         * iDebugger.interceptConsole()
+         * console.warn('shown in the view')
+         * iDebugger.restoreConsole()
+         * @memberof Debugger
+         */
+        function interceptConsole() {
+            if (interceptors) return
+            interceptors = {}
+            for (var i in interceptMethods) {
+                var method = interceptMethods[i]
+                if (!nativeConsole[method]) continue
+                interceptors[method] = interceptor(method)
+                console[method] = interceptors[method]
+            }
+        }
+
+        /**
+         * Restores the native console methods replaced by {@link Debugger.interceptConsole}.  A method
+         * wrapped again by another script is left in place but no longer mirrored.
+         * @memberof Debugger
+         */
+        function restoreConsole() {
+            if (!interceptors) return
+            for (var method in interceptors)
+                if (console[method] === interceptors[method])
+                    console[method] = nativeConsole[method]
+            interceptors = null
+        }
+
+        // Returns the wrapper of a native console method
+        function interceptor(method) {
+            var mirroring = false
+            var wrapper = function () {
+                // a wrapper left in place by restoreConsole() or a call made while mirroring is only forwarded
+                if (interceptors && interceptors[method] === wrapper && !mirroring) {
+                    mirroring = true
+                    try {
+                        mirrorConsole(method, Array.prototype.slice.call(arguments, 0))
+                    } catch (e) {
+                        // mirroring must not break the page
+                    }
+                    mirroring = false
+                }
+                return nativeConsole[method].apply(console, arguments)
+            }
+            return wrapper
+        }
+
+        // Shows and records an intercepted console call
+        function mirrorConsole(method, args) {
+            var call = consoleCall(method, args, consoleCaller)
+            if (call) mirror(call.level, consoleCaller, call.args)
+        }
+
+        /**
+         * Shows a statement of a synthetic object, such as "console", in the view or records it when
+         * the view is not shown.  The statement is not written to the native console.
+         * @param level {string} - Console level
+         * @param caller {object} - Object with a _debugObjectName
+         * @param args {Array}
+         * @private
+         */
+        function mirror(level, caller, args) {
+            if (severity(level) < levels[globalDebug]) return
+            var loc = new LogLocation({sourceMaps: globalOptions.sourceMaps})
+            if (view)
+                view.mirror(level, caller, args, loc)
+            else if (globalOptions.record || transports.length)
+                addRecord(level, caller, {}, args, loc)
+        }
+
+        /**
+         * Returns the level and arguments to show for a console call, null when the call has no output.
+         * Counters and timers are kept per calling object, assertions are shown only when they fail.
+         * @param method {string}
+         * @param args {Array|arguments}
+         * @param caller {object} - The object calling debug
+         * @returns {{level:string, args:Array}|null}
+         * @private
+         */
+        function consoleCall(method, args, caller) {
+            args = Array.prototype.slice.call(args, 0)
+            var label = args.length && args[0] !== undefined ? String(args[0]) : 'default'
+            var counts = caller._debugCounts = caller._debugCounts || {}
+            var timers = caller._debugTimers = caller._debugTimers || {}
+            switch (method) {
+                case 'log': case 'info': case 'warn': case 'error': case 'debug':
+                    return {level: method, args: args}
+                case 'trace':
+                    return {level: method, args: args.length ? args : ['console.trace']}
+                case 'assert':
+                    if (args[0]) return null
+                    args = args.slice(1)
+                    if (typeof args[0] == 'string') args[0] = 'Assertion failed: ' + args[0]
+                    else args.unshift('Assertion failed')
+                    return {level: 'error', args: args}
+                case 'count':
+                    counts[label] = (counts[label] || 0) + 1
+                    return {level: 'info', args: [label + ': ' + counts[label]]}
+                case 'countReset':
+                    if (counts[label] === undefined)
+                        return {level: 'warn', args: ['Count for \'' + label + '\' does not exist']}
+                    counts[label] = 0
+                    return null
+                case 'time':
+                    if (timers[label] !== undefined)
+                        return {level: 'warn', args: ['Timer \'' + label + '\' already exists']}
+                    timers[label] = now()
+                    return null
+                case 'timeLog': case 'timeEnd':
+                    if (timers[label] === undefined)
+                        return {level: 'warn', args: ['Timer \'' + label + '\' does not exist']}
+                    var elapsed = now() - timers[label]
+                    if (method == 'timeEnd') delete timers[label]
+                    return {level: 'info', args: [label + ': ' + +elapsed.toFixed(3) + ' ms'].concat(args.slice(1))}
+                case 'group': case 'groupCollapsed': case 'groupEnd': case 'table':
+                    return {level: method, args: args}
+                default:
+                    // dir and dirxml show their arguments
+                    return args.length ? {level: 'log', args: args} : null
+            }
+        }
+
+        // Milliseconds with a fraction when supported
+        function now() {
+            return window.performance && performance.now ? performance.now() : Date.now()
+        }
+
+        /**
+         * Returns the recorded debug statements, oldest first, matching the query.
+         * @param {object} [query]
+         * @param {string} [query.level] - Minimum level of records.
+         * @param {string} [query.object] - Object name or namespace patterns such as "app:*".
+         * @param {number|Date} [query.since] - Only records logged since this time.
+         * @param {string|RegExp} [query.text] - Text or expression to find in the message.
+         * @returns {Array.<{time:number, level:string, object:string, namespace:string, id:*,
+         * prefix:string, args:Array, loc:LogLocation, depth:integer}>} depth is the number of open groups.
+         * @memberof Debugger
+         */
+        function getRecords(query) {
+            query = query || {}
+            var all = records ? records.toArray() : []
+            var objects = query.object ? parsePatterns(query.object) : null
+            var since = query.since ? +query.since : 0
+            var result = []
+            for (var i in all) {
+                var record = all[i]
+                if (query.level && severity(record.level) < severity(query.level)) continue
+                if (objects && !matches(objects, record.object) && !matches(objects, record.namespace)) continue
+                if (record.time < since) continue
+                if (query.text && !textMatches(query.text, argsToText(record.args))) continue
+                result.push(record)
+            }
+            return result
+        }
+
+        /**
+         * Exports the recorded debug statements. See {@link DebuggerView.exportLogs}.
+         * @param {string} [format="json"] - "json", "ndjson" or "text".
+         * @param {string} [action] - "download" or "copy".
+         * @param {object} [query] - Only export matching records, see {@link Debugger.records}.
+         * @returns {string} The exported logs.
+         * @memberof Debugger
+         */
+        function exportLogs(format, action, query) {
+            return DebuggerView.prototype.exportLogs(format, action, query)
+        }
+
+        /**
+         * Removes the stored log history of previous pages. See {@link DebuggerView.clearHistory}.
+         * @memberof Debugger
+         */
+        function clearHistory() {
+            DebuggerView.prototype.clearHistory()
+        }
+
+        /**
+         * Returns the stored layout of the view. See {@link DebuggerView.getLayout}.
+         * @returns {object|null}
+         * @memberof Debugger
+         */
+        function getLayout() {
+            return DebuggerView.prototype.getLayout()
+        }
+
+        /**
+         * Removes the stored layout and restores the default layout of the view. See {@link DebuggerView.resetLayout}.
+         * @memberof Debugger
+         */
+        function resetLayout() {
+            DebuggerView.prototype.resetLayout()
+        }
+
+        /**
+         * Removes all recorded debug statements.
+         * @memberof Debugger
+         */
+        function clearRecords() {
+            if (records) records.clear()
+        }
+
+        /**
+         * Determines if a string contains the text or matches the expression.
+         * @param text {string|RegExp}
+         * @param str {string}
+         * @returns {boolean}
+         * @private
+         */
+        function textMatches(text, str) {
+            return text instanceof RegExp ? text.test(str) : str.indexOf(text) > -1
+        }
 
-            var prefix = getPrefixArgs(arguments, this)
-            return console[level].bind.apply(window.console[level], [window.console].concat(prefix.prefixArray, prefix.msgArray))
+        /**
+         * Converts debug arguments to a plain text message.
+         * @param args {Array}
+         * @returns {string}
+         * @private
+         */
+        function argsToText(args) {
+            var formatted = formatToText(args)
+            var parts = formatted.text ? [formatted.text] : []
+            args = formatted.rest
+            for (var i in args) {
+                var arg = args[i]
+                if (arg && typeof arg == 'object')
+                    try {
+                        arg = JSON.stringify(arg)
+                    } catch (e) {
+                        // circular objects
+                        arg = String(arg)
+                    }
+                parts.push(String(arg))
+            }
+            return parts.join(' ')
         }
 
 
         /**
-         * Returns the debug state of all included objects as an object.
-         * @example {"view":"off", "model":"on", "ctrl":"on"}
+         * Returns the level threshold of all included objects as an object.
+         * @example {"view":"trace", "model":"warn", "ctrl":"off"}
          * @returns {Object.<key,state>}
          * @memberof Debugger
          * @private
@@ -376,7 +1122,7 @@ var iDebugConsole = function() {
         function state() {
             var result = {}
             for (var k in this._objects) {
-                result[k] = this._objects[k]._debug ? 'on' : 'off';
+                result[k] = this._objects[k]._debug || 'off';
             }
             return result
         }
@@ -389,7 +1135,8 @@ var iDebugConsole = function() {
          * @param args {arguments} Must include level & options arguments
          * @param caller {object} The calling object
          * @param loc {LogLocation}
-         * @returns {object} {prefixArray:[], propObject:{} || null, msgArray:[]}
+         * @returns {object} {prefixArray:[], propObject:{} || null, msgArray:[], formatted:bool} formatted is
+         * true when the format specifiers are applied to the prefix already.
          * @private
          */
         function getPrefixArgs(args, caller, loc){
@@ -403,6 +1150,35 @@ var iDebugConsole = function() {
 
             // Create prefix
             var prefixA = ['']
+            var prefix = getPrefix(caller, options, loc)
+
+            if(prefix) prefix = prefix + ' -> '
+
+            // Apply format specifiers when the console does not support them
+            if (!consoleSFSupport) {
+                var formatted = formatToText(args)
+                prefixA = [prefix + formatted.text]
+                args = formatted.rest
+            }
+            // Add prefix to args with css, the prefix becomes part of the format string
+            else if (typeof args[0] == 'string')
+                prefixA = ['%c'+prefix.replace(/%/g, '%%') + '%c'+args.shift(), "font-style:italic;", "font-style:initial;"]
+            else
+                prefixA = ['%c'+prefix.replace(/%/g, '%%') , "font-style:italic;"]
+
+            return {prefixArray:prefixA, prefixObj:instanceObj?instanceObj:null, msgArray:args, formatted:!consoleSFSupport}
+        }
+
+        /**
+         * Returns the prefix string for the calling object.
+         * @param caller {object} The calling object
+         * @param options {object} The debugger options
+         * @param [loc] {LogLocation}
+         * @returns {string}
+         * @private
+         */
+        function getPrefix(caller, options, loc){
+            loc = loc || {func:''}
             var prefix = ''
             if (options.prefixObjectName)
                 prefix += caller._debugObjectName
@@ -414,19 +1190,8 @@ var iDebugConsole = function() {
                 if (options.prefixObjectName || options.prefixInstanceId) prefix += ' @ '
                 prefix += loc.func
             }
-
-            if(prefix) prefix = prefix + ' -> '
-
-            // Add prefix to args with css when available
-            if (typeof args[0] == 'string')
-                if(consoleSFSupport) prefixA = ['%c'+prefix + '%c'+args.shift(), "font-style:italic;", "font-style:initial;"]
-                else prefixA = [prefix + args.shift()]
-            else
-                if(consoleSFSupport) prefixA = ['%c'+prefix , "font-style:italic;"]
-                else prefixA = [prefix]
-
-            return {prefixArray:prefixA, prefixObj:instanceObj?instanceObj:null, msgArray:args}
-        }
+            return prefix
+        }
 
         function getPropsFromArrayOfStrings(propsArray, object){
             var out = propsArray.length ? {}:null
@@ -450,8 +1215,28 @@ var iDebugConsole = function() {
             off: off,
             on: on,
             globalState: globalState,
+            levels: levels,
+            enable: enable,
+            disable: disable,
+            enabled: enabled,
+            unregister: unregister,
+            debuggers: debuggers,
+            objects: objects,
             initView: initView,
             getPrefixArgs:getPrefixArgs,
+            addRecord:addRecord,
+            consoleCall:consoleCall,
+            mirror:mirror,
+            records:getRecords,
+            clearRecords:clearRecords,
+            exportLogs:exportLogs,
+            layout:getLayout,
+            resetLayout:resetLayout,
+            clearHistory:clearHistory,
+            addTransport:addTransport,
+            removeTransport:removeTransport,
+            interceptConsole:interceptConsole,
+            restoreConsole:restoreConsole,
             setGlobalOptions:setOptions
         }
     }();
@@ -465,6 +1250,24 @@ var iDebugConsole = function() {
      * @param options.state {string}        Initial state of the iDebugConsole ("open" or "closed")
      * @param options.test {string|re}      Test for a specific userAgent before init. There is a string shortcut
      *                                      to test for iOS devices "ios".
+     * @param options.exportName {string}   File name of downloaded logs without extension ["iDebugConsole"].
+     * @param options.commandLine {bool}    Show a command line to evaluate javascript in page scope [true].
+     * @param options.interceptConsole {bool} Show native console calls of other scripts, see
+     *                                      {@link Debugger.interceptConsole} [false].
+     * @param options.persistHistory {bool|object} Store the last lines and show them on the next page load after a
+     *                                      "page reload" line, lost by redirects or reloads otherwise [false].
+     * @param options.persistHistory.limit {integer} Lines to store [200].
+     * @param options.persistHistory.maxSize {integer} Maximum characters to store, the oldest lines are
+     *                                      dropped first [500000].
+     * @param options.persistHistory.storage {string} "session" for sessionStorage or "indexedDB" to keep
+     *                                      the history after the tab is closed ["session"].
+     * @param options.hotkeys {object|bool} Keyboard shortcuts as {action: "modifier+key"}, false disables them.
+     *                                      Actions: toggle (open / close), clear, scrollMode, locations, filter
+     *                                      (focus the filter), nextError and prevError.  Defaults to ctrl+alt
+     *                                      with d, c, s, l, f, n and p, AltGr is not a ctrl+alt hotkey.
+     * @param options.persistLayout {bool}  Store the size, position, modes and filters of the view in
+     *                                      localStorage and restore them on load, a stored layout replaces
+     *                                      options.state [true].
      * @constructor
      */
     var DebuggerView = function (model , state, options) {
@@ -489,6 +1292,9 @@ var iDebugConsole = function() {
         var scrollWd = undefined     // scroll mode width
         var passiveHt = undefined     // passive mode height
         var passiveWd = undefined     // passive mode widtht
+        var openWd = undefined        // width before closing
+        var showLocations = false     // show the location of each line
+        var persistLayout = true      // store the layout in localStorage
 
         var d = document
         var b = document.documentElement || document.body
@@ -496,11 +1302,20 @@ var iDebugConsole = function() {
         var eOpCont = null          // controlls scroll position of output
         var eOutput = null          // holds the output lines
         var eOptions = null          // holds the options buttons
+        var eExport = null          // holds the export menu
+        var eCmd = null          // holds the command line
+        var eCmdInput = null          // the command line input
+        var eCmdSuggest = null          // the command line completions
+        var eFilter = null          // holds the filter bar
+        var eFilterText = null          // the filter text input
+        var eFilterObject = null          // the filter object input
+        var eFilterCount = null          // shows the number of filtered lines
+        var exportName = 'iDebugConsole' // downloaded file name
         var drs = null          // enables drag, resize, snap ability
 
         // Output window buttons
         var bClose, bClear, bScroll, bScrollUp, bScrollDn, bAutoScroll, bDrag,
-            bHelp, bSize, bTogLoc
+            bHelp, bSize, bTogLoc, bExport, bFilter
 
         var iOpen = "&#10016"
         var iClear = "&#8802"
@@ -514,11 +1329,70 @@ var iDebugConsole = function() {
         var iTogLoc = "&#x00040;"
         var iLoc = "&#x00040;"
         var iStack = "&#8801;"
+        var iExport = "&#8675;"
+        var iPrompt = "&#8250;"
+        var iFilter = "&#8981;"
+
+        // Output filters, lines arriving later are filtered as well
+        var filterLevels = ['trace', 'debug', 'log', 'info', 'warn', 'error']
+        var filters = {levels: [], object: '', text: ''}
+        var filterRe = null          // compiled filters.text
+
+        // Command line history
+        var cmdHistory = []
+        var cmdIndex = 0
+        var cmdMaxHistory = 100
+        var cmdMaxSuggest = 30
+        var cmdLoc = {stack: [], str: '(console)', longStr: '(console)'}
+
+        // Keyboard shortcuts, see options.hotkeys
+        // alt+shift switches the keyboard layout on Windows
+        var defaultHotkeys = {
+            toggle: 'ctrl+alt+d',
+            clear: 'ctrl+alt+c',
+            scrollMode: 'ctrl+alt+s',
+            locations: 'ctrl+alt+l',
+            filter: 'ctrl+alt+f',
+            nextError: 'ctrl+alt+n',
+            prevError: 'ctrl+alt+p'
+        }
+        var hotkeys = []              // parsed: [{action, key, alt, shift, ctrl, meta}]
+        var errorIndex = -1           // the error line selected with next / previous error
+        var focusBeforeOpen = null    // element to focus when the view is closed
+        var eLive = null              // announces errors to screen readers
+        var announcements = []        // messages to announce: [{text, keep}]
+        var announceTimer = null
+
+        // Log history of previous pages: {store:HistoryStore, entries:Array, limit:integer,
+        // maxSize:integer, loaded:bool, timer:integer}
+        var history = null
+
+        // Open groups of each object calling debug: [{caller:object, lists:Element[]}]
+        var groups = []
+
+        // Object of the records of page events, such as uncaught errors
+        var eventCaller = {_debugObjectName: 'window', _debugNamespace: 'window'}
+        var cmdHeight = 24
+        var optionsHeight = 28
+
+        // localStorage key of the layout, the origin keeps pages of a shared file:// origin apart
+        var layoutKey = 'iDebugConsole.layout:' + (location.origin && location.origin != 'null' ?
+            location.origin : location.protocol + '//' + location.host)
+
+        // Export formats: file extension and mime type
+        var exportFormats = {
+            json: ['json', 'application/json'],
+            ndjson: ['ndjson', 'application/x-ndjson'],
+            text: ['txt', 'text/plain']
+        }
+
+        // Limits of exported values: nesting depth, properties per object and properties per value
+        var safeLimits = {depth: 5, keys: 100, size: 1000}
 
 
         // Output window class methods
 
-        var createView = function () {
+        var createView = function (options) {
             // elements
             eCont = createEle("div#debug-cont", document.body)
             eCont.style.width = initOpenW
@@ -527,31 +1401,388 @@ var iDebugConsole = function() {
             close() // sets the initial state open / close
             eOpCont = createEle("div.op-cont", eCont)
             eOutput = createEle("ol.output", eOpCont)
+            // command line
+            if (options.commandLine !== false) {
+                addClass(eCont, 'has-cmd')
+                eCmd = createEle("div.cmd-line", eCont)
+                createEle("span.cmd-prompt", eCmd, iPrompt)
+                eCmdInput = createEle("input.cmd-input", eCmd)
+                eCmdInput.type = 'text'
+                eCmdInput.setAttribute('autocomplete', 'off')
+                eCmdInput.setAttribute('autocorrect', 'off')
+                eCmdInput.setAttribute('autocapitalize', 'off')
+                eCmdInput.setAttribute('spellcheck', 'false')
+                eCmdSuggest = createEle("ul.cmd-suggest.hide", eCont)
+            }
+            // filter bar
+            eFilter = createEle("div.filter-bar.hide", eCont)
+            for (var l in filterLevels)
+                createEle("button.filter-level." + filterLevels[l], eFilter, filterLevels[l])
+                    .setAttribute('data-level', filterLevels[l])
+            eFilterObject = createEle("input.filter-object", eFilter)
+            eFilterObject.placeholder = 'object / id'
+            eFilterText = createEle("input.filter-text", eFilter)
+            eFilterText.placeholder = 'text or /regex/i'
+            eFilterCount = createEle("span.filter-count", eFilter)
             eOptions = createEle("div.options", eCont)
             // buttons
-            bClose = createEle("div.btn.btn-close", eOptions, iOpen)
-            bClear = createEle("div.btn.btn-clear", eOptions, iClear)
+            bClose = createEle("button.btn.btn-close", eOptions, iOpen)
+            bClear = createEle("button.btn.btn-clear", eOptions, iClear)
             bClear.style.fontSize = "1.2em"
             bClear.style.marginTop = "-4px"
-            bScroll = createEle("div.btn.btn-scroll", eOptions, iScroll)
-            bDrag = createEle("div.btn.btn-drag", eOptions, iDrag)
+            bScroll = createEle("button.btn.btn-scroll", eOptions, iScroll)
+            bDrag = createEle("button.btn.btn-drag", eOptions, iDrag)
             bDrag.style.cursor = "move"
-            bScrollUp = createEle("div.btn.btn-scroll-up", eOptions, iScrlUp)
+            bScrollUp = createEle("button.btn.btn-scroll-up", eOptions, iScrlUp)
             bScrollUp.style.display = "none"
-            bScrollDn = createEle("div.btn.btn-scroll-dn", eOptions, iScrlDn)
+            bScrollDn = createEle("button.btn.btn-scroll-dn", eOptions, iScrlDn)
             bScrollDn.style.display = "none"
-            bAutoScroll = createEle("div.btn.btn-autoscroll", eOptions, iAutoScroll)
+            bAutoScroll = createEle("button.btn.btn-autoscroll", eOptions, iAutoScroll)
             bAutoScroll.style.display = "none"
-            bSize = createEle("div.btn.btn-size", eOptions, iSize)
+            bSize = createEle("button.btn.btn-size", eOptions, iSize)
             bSize.style.fontSize = "1.2em"
-            bTogLoc = createEle("div.btn.btn-tog-loc", eOptions, iTogLoc)
+            bTogLoc = createEle("button.btn.btn-tog-loc", eOptions, iTogLoc)
             bTogLoc.style.fontSize = ".8em"
             //bTogLoc.style.verticalAlign = "middle"
-            bHelp = createEle("div.btn.btn-help", eOptions, iHelp)
+            bExport = createEle("button.btn.btn-export", eOptions, iExport)
+            bFilter = createEle("button.btn.btn-filter", eOptions, iFilter)
+            bHelp = createEle("button.btn.btn-help", eOptions, iHelp)
+            // export menu
+            eExport = createEle("div.export-menu.hide", eCont)
+            for (var format in exportFormats) {
+                var eFormat = createEle("div", eExport, format + ': ')
+                createEle("a.export-download", eFormat, 'download').setAttribute('data-format', format)
+                createEle("span", eFormat, ' | ')
+                createEle("a.export-copy", eFormat, 'copy').setAttribute('data-format', format)
+            }
+            // screen reader announcements
+            eLive = createEle("div.sr-only", eCont)
+            eLive.setAttribute('aria-live', 'assertive')
+            eLive.setAttribute('aria-atomic', 'true')
+            addAria()
+        }
+
+        // Adds roles and labels to the view and it's controls
+        var addAria = function () {
+            eCont.setAttribute('role', 'region')
+            eCont.setAttribute('aria-label', 'Debug console')
+            eOutput.setAttribute('role', 'log')
+            eOptions.setAttribute('role', 'toolbar')
+            var labels = [
+                [bClose, 'Open or close the debug console'],
+                [bClear, 'Clear the output'],
+                [bScroll, 'Scroll mode'],
+                [bDrag, 'Move'],
+                [bScrollUp, 'Scroll up one page'],
+                [bScrollDn, 'Scroll down one page'],
+                [bAutoScroll, 'Scroll to new lines'],
+                [bSize, 'Bounds relative to the window'],
+                [bTogLoc, 'Show locations'],
+                [bExport, 'Export logs'],
+                [bFilter, 'Filter output'],
+                [bHelp, 'Help']
+            ]
+            for (var i in labels)
+                makeButton(labels[i][0], labels[i][1])
+            bExport.setAttribute('aria-haspopup', 'true')
+            var links = eExport.getElementsByTagName('a')
+            for (var l = 0; l < links.length; l++) {
+                links[l].href = '#'
+                links[l].setAttribute('aria-label', links[l].textContent + ' ' + links[l].getAttribute('data-format'))
+            }
+            var eLevels = eFilter.getElementsByClassName('filter-level')
+            for (var f = 0; f < eLevels.length; f++)
+                makeButton(eLevels[f], 'Show ' + eLevels[f].getAttribute('data-level') + ' lines')
+            eFilterObject.setAttribute('aria-label', 'Filter by object or id')
+            eFilterText.setAttribute('aria-label', 'Filter by text')
+            eFilterCount.setAttribute('aria-live', 'polite')
+            if (eCmdInput) eCmdInput.setAttribute('aria-label', 'Command line')
+            updateAria()
+        }
+
+        // Labels a button, it does not submit a form of the page
+        var makeButton = function (ele, label) {
+            ele.type = 'button'
+            ele.setAttribute('aria-label', label)
+            ele.title = label
+        }
+
+        // Reflects the state of the toggle buttons
+        var updateAria = function () {
+            if (!bClose) return
+            bClose.setAttribute('aria-expanded', !isClosed())
+            bScroll.setAttribute('aria-pressed', scrollMode)
+            bAutoScroll.setAttribute('aria-pressed', autoScroll)
+            bSize.setAttribute('aria-pressed', !hasClass(bSize, 'off'))
+            bTogLoc.setAttribute('aria-pressed', showLocations)
+            bFilter.setAttribute('aria-pressed', !hasClass(eFilter, 'hide'))
+            bExport.setAttribute('aria-expanded', !hasClass(eExport, 'hide'))
+            bHelp.setAttribute('aria-pressed', hasClass(bHelp, 'active'))
+            var eLevels = eFilter.getElementsByClassName('filter-level')
+            for (var i = 0; i < eLevels.length; i++)
+                eLevels[i].setAttribute('aria-pressed', !hasClass(eLevels[i], 'off'))
         }
 
         var clearView = function (html) {
             eOutput.innerHTML = html || ''
+            groups = []
+            updateFilterCount()
+        }
+
+        var toggleFilterBar = function (state) {
+            state = state === undefined ? hasClass(eFilter, 'hide') : state
+            if (state) {
+                removeClass(eFilter, 'hide')
+                addClass(eCont, 'has-filter')
+                eFilterText.focus()
+            } else {
+                addClass(eFilter, 'hide')
+                removeClass(eCont, 'has-filter')
+            }
+            updateAria()
+            saveLayout()
+        }
+
+        // Shows or hides the location of all lines, including lines added later
+        var toggleLocations = function (state) {
+            showLocations = state === undefined ? !showLocations : state
+            var locs = d.getElementsByClassName('loc')
+            if (showLocations) removeClass(locs, 'hide')
+            else addClass(locs, 'hide')
+            if (showLocations) addClass(bTogLoc, 'active')
+            else removeClass(bTogLoc, 'active')
+            updateAria()
+        }
+
+        /**
+         * Returns the layout stored for this origin: size, position, open state, scroll mode, auto scroll,
+         * percent bounds, location visibility and filters.
+         * @returns {object|null}
+         * @memberof DebuggerView
+         */
+        function getLayout() {
+            try {
+                return JSON.parse(window.localStorage.getItem(layoutKey)) || null
+            } catch (e) {
+                // storage is not available or the stored layout is invalid
+                return null
+            }
+        }
+
+        // Stores the current layout, the full screen help is not stored
+        function saveLayout() {
+            if (!persistLayout || !onScreen || hasClass(bHelp, 'active')) return
+            var style = eCont.style
+            var layout = {
+                open: !isClosed(),
+                width: isClosed() ? openWd : style.width,
+                height: style.height,
+                left: style.left,
+                top: style.top,
+                right: style.right,
+                bottom: style.bottom,
+                scrollMode: scrollMode,
+                scrollSize: [scrollWd, scrollHt],
+                passiveSize: [passiveWd, passiveHt],
+                autoScroll: autoScroll,
+                percent: !hasClass(bSize, 'off'),
+                showLocations: showLocations,
+                filterBar: !hasClass(eFilter, 'hide'),
+                filters: getFilter()
+            }
+            try {
+                window.localStorage.setItem(layoutKey, JSON.stringify(layout))
+            } catch (e) {
+                // storage is not available or full
+            }
+        }
+
+        // Applies a stored layout
+        function restoreLayout(layout) {
+            // toggle first, it swaps the sizes of scroll and passive mode
+            if (!layout.scrollMode != !scrollMode) toggleScrollMode()
+            var style = eCont.style
+            var props = ['height', 'left', 'top', 'right', 'bottom']
+            for (var i in props)
+                if (layout[props[i]] !== undefined) style[props[i]] = layout[props[i]]
+            scrollWd = layout.scrollSize && layout.scrollSize[0]
+            scrollHt = layout.scrollSize && layout.scrollSize[1]
+            passiveWd = layout.passiveSize && layout.passiveSize[0]
+            passiveHt = layout.passiveSize && layout.passiveSize[1]
+
+            autoScroll = layout.autoScroll !== false
+            if (autoScroll) removeClass(bAutoScroll, 'off')
+            else addClass(bAutoScroll, 'off')
+
+            if (layout.percent === false) {
+                addClass(bSize, 'off')
+                drs.togglePercent(false)
+            }
+            toggleLocations(!!layout.showLocations)
+
+            if (layout.open) open(layout.width)
+            else {
+                style.width = layout.width || initOpenW
+                close()
+            }
+
+            if (layout.filters) setFilter(layout.filters)
+            toggleFilterBar(!!layout.filterBar)
+        }
+
+        /**
+         * Removes the stored layout and restores the default size, position, modes and filters.
+         * @memberof DebuggerView
+         */
+        function resetLayout() {
+            try {
+                window.localStorage.removeItem(layoutKey)
+            } catch (e) {
+                // storage is not available
+            }
+            if (!onScreen) return
+            var persist = persistLayout
+            persistLayout = false
+            if (scrollMode) toggleScrollMode()
+            var style = eCont.style
+            style.left = style.top = style.right = style.bottom = ''
+            style.height = initOpenH
+            scrollWd = scrollHt = passiveWd = passiveHt = openWd = undefined
+            autoScroll = true
+            removeClass(bAutoScroll, 'off')
+            removeClass(bSize, 'off')
+            drs.togglePercent(true)
+            toggleLocations(false)
+            open(initOpenW)
+            setFilter({levels: [], object: '', text: ''})
+            toggleFilterBar(false)
+            persistLayout = persist
+        }
+
+        /**
+         * Sets the output filters and applies them to all lines.  Omitted filters keep their value.
+         * @param newFilters {object}
+         * @param [newFilters.levels] {string[]} - Hide lines of these levels.
+         * @param [newFilters.object] {string} - Only show lines of an object name, namespace or instance id
+         *                                    containing this text.
+         * @param [newFilters.text] {string} - Only show lines with a message containing this text.  Use
+         *                                    "/expression/flags" for a regular expression.
+         * @returns {object} The filters.
+         * @memberof DebuggerView
+         */
+        function setFilter(newFilters) {
+            newFilters = newFilters || {}
+            for (var f in filters)
+                if (newFilters[f] !== undefined)
+                    filters[f] = newFilters[f]
+            filterRe = textToRegExp(filters.text)
+
+            if (eFilter) {
+                var eLevels = eFilter.getElementsByClassName('filter-level')
+                for (var i = 0; i < eLevels.length; i++) {
+                    if (filters.levels.indexOf(eLevels[i].getAttribute('data-level')) > -1)
+                        addClass(eLevels[i], 'off')
+                    else
+                        removeClass(eLevels[i], 'off')
+                }
+                updateAria()
+                if (eFilterObject.value != filters.object) eFilterObject.value = filters.object
+                if (eFilterText.value != filters.text) eFilterText.value = filters.text
+            }
+
+            if (eOutput) {
+                var lines = eOutput.getElementsByTagName('li')
+                for (var i = 0; i < lines.length; i++)
+                    applyFilter(lines[i], true)
+                updateFilterCount()
+            }
+            saveLayout()
+            return getFilter()
+        }
+
+        /**
+         * Returns a copy of the output filters.
+         * @returns {{levels:string[], object:string, text:string}}
+         * @memberof DebuggerView
+         */
+        function getFilter() {
+            return {levels: filters.levels.slice(0), object: filters.object, text: filters.text}
+        }
+
+        // Converts filter text to a global case insensitive expression, "/re/flags" is used as is
+        function textToRegExp(text) {
+            if (!text) return null
+            var re = text.match(/^\/(.+)\/([gimsuy]*)$/)
+            try {
+                if (re) return new RegExp(re[1], re[2].indexOf('g') < 0 ? re[2] + 'g' : re[2])
+            } catch (e) {
+                // incomplete expression while typing, match it as text
+            }
+            return new RegExp(text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi')
+        }
+
+        // Hides a line not matching the filters and highlights matching text, noCount when the
+        // hidden lines are counted after filtering all lines
+        function applyFilter(li, noCount) {
+            if (li.tagName != 'LI') return
+            var eText = li.getElementsByClassName('msg-text')[0]
+            var hide = filters.levels.indexOf(li.className.split(' ')[0]) > -1
+
+            if (!hide && filters.object) {
+                var object = filters.object.toLowerCase()
+                hide = ['data-object', 'data-namespace', 'data-id'].every(function (attr) {
+                    return (li.getAttribute(attr) || '').toLowerCase().indexOf(object) < 0
+                })
+            }
+
+            if (eText) highlight(eText, filterRe)
+            if (!hide && filterRe) {
+                filterRe.lastIndex = 0
+                hide = !eText || !filterRe.test(eText.textContent)
+            }
+
+            if (hide) addClass(li, 'filtered')
+            else removeClass(li, 'filtered')
+            if (!noCount) updateFilterCount()
+        }
+
+        // Wraps text matching re in mark elements after removing previous marks
+        function highlight(ele, re) {
+            var marks = ele.getElementsByTagName('mark')
+            while (marks.length) {
+                var mark = marks[0]
+                mark.parentNode.replaceChild(d.createTextNode(mark.textContent), mark)
+            }
+            ele.normalize()
+            if (!re) return
+
+            var walker = d.createTreeWalker(ele, NodeFilter.SHOW_TEXT, null, false)
+            var nodes = []
+            while (walker.nextNode())
+                nodes.push(walker.currentNode)
+
+            for (var i in nodes) {
+                var text = nodes[i].nodeValue
+                var frag = d.createDocumentFragment()
+                var last = 0, match
+                re.lastIndex = 0
+                while ((match = re.exec(text)) && match[0]) {
+                    frag.appendChild(d.createTextNode(text.slice(last, match.index)))
+                    createEle("mark", frag).textContent = match[0]
+                    last = match.index + match[0].length
+                }
+                if (!last) continue
+                frag.appendChild(d.createTextNode(text.slice(last)))
+                nodes[i].parentNode.replaceChild(frag, nodes[i])
+            }
+        }
+
+        function updateFilterCount() {
+            if (!eFilterCount) return
+            var filteredCount = eOutput.getElementsByClassName('filtered').length
+            eFilterCount.innerHTML = filteredCount ? filteredCount + ' hidden' : ''
+            if (filteredCount) addClass(bFilter, 'active')
+            else removeClass(bFilter, 'active')
         }
 
         var open = function (size) {
@@ -560,13 +1791,22 @@ var iDebugConsole = function() {
             eCont.style.minWidth = ''
             eCont.style.maxWidth = ''
             eCont.style.whiteSpace = ""
+            updateAria()
+            saveLayout()
         }
 
         var close = function () {
+            if (!isClosed()) openWd = eCont.style.width
             eCont.style.width = closedSize
             eCont.style.minWidth = closedSize
             eCont.style.maxWidth = closedSize
             eCont.style.whiteSpace = "nowrap"
+            updateAria()
+            saveLayout()
+        }
+
+        var isClosed = function () {
+            return eCont.style.width == closedSize
         }
 
         var toggleScrollMode = function (state, resize) {
@@ -595,6 +1835,8 @@ var iDebugConsole = function() {
                     eCont.style.width = passiveWd
             }
 
+            updateAria()
+
             // show / hide scroll group buttons
             var scrollGroup = [
                 eOptions.getElementsByClassName("btn-autoscroll")[0],
@@ -620,7 +1862,7 @@ var iDebugConsole = function() {
         var init = function (state, options) {
             var globalDebug = Debugger.prototype.globalState()
             // prevent view from init twice
-            if (onScreen || !globalDebug)  return
+            if (onScreen || globalDebug == 'off')  return
 
             options = options || {}
             if (typeof state == 'object')
@@ -635,7 +1877,9 @@ var iDebugConsole = function() {
                 if (!options.test.test(navigator.userAgent))
                     return
 
-            createView()
+            exportName = options.exportName || exportName
+
+            createView(options)
 
             noDTZoom(eCont) // prevent double tap zoom on ios
 
@@ -651,7 +1895,7 @@ var iDebugConsole = function() {
                     scrollMode = hasClass(eCont, 'scroll')
                     var width = eCont.getBoundingClientRect().width
                     if (width <= parseInt(closedSize + 5))
-                        open(scrollMode ? scrollWd || initOpenW : passiveWd || initOpenW)
+                        open(scrollMode ? scrollWd || openWd || initOpenW : passiveWd || openWd || initOpenW)
                     else
                         close()
                 }
@@ -743,6 +1987,23 @@ var iDebugConsole = function() {
                         '<li>' + iTogLoc + ' Toggle location: Toggle location for all lines.' +
                         ' changes as window size changes).</li>' +
                         '<li>' + iHelp + ' <b>Help:</b> You are here.</li>' +
+                        '<li>' + iExport + ' <b>Export:</b> Download or copy the logs as JSON, NDJSON or text.</li>' +
+                        '<li>' + iFilter + ' <b>Filter:</b> Hide levels, show lines of an object name or id and find ' +
+                        'text or a /regex/ in messages. Filters apply to new lines as well.</li>' +
+                        '</ul>' +
+                        '<li><b>COMMAND LINE:</b></li>' +
+                        '<ul>' +
+                        '<li>' + iPrompt + ' <b>Run:</b> Type javascript and press enter to evaluate it in page scope.</li>' +
+                        '<li><b>History:</b> Press the up and down arrows for previous commands.</li>' +
+                        '<li><b>Clear history:</b> Run iDebugger.clearHistory() to remove the lines stored for ' +
+                        'the next page load.</li>' +
+                        '<li><b>Complete:</b> Press tab to complete a property name, tap a suggestion to insert it.</li>' +
+                        '</ul>' +
+                        '<li><b>KEYBOARD:</b></li>' +
+                        '<ul>' +
+                        '<li>Tab to any button and press enter or space, escape closes the filter bar and export menu.</li>' +
+                        '<li><b>Ctrl+Alt+D</b> Open / close, <b>C</b> Clear, <b>S</b> Scroll mode, <b>L</b> Locations, ' +
+                        '<b>F</b> Filter, <b>N</b> / <b>P</b> Next / previous error (configure with options.hotkeys).</li>' +
                         '</ul>' +
                         '<li><b>CSS:</b></li>' +
                         '<ul>' +
@@ -757,11 +2018,63 @@ var iDebugConsole = function() {
                     drs.togglePercent(!state)
                 }
                 else if (hasClass(e.target, 'btn-tog-loc')) {
-                    var locs = d.getElementsByClassName('loc')
-                    toggleClass(locs, 'hide')
+                    toggleLocations()
+                }
+                // export
+                else if (hasClass(e.target, 'btn-export')) {
+                    toggleClass(eExport, 'hide')
+                }
+                // filter bar
+                else if (hasClass(e.target, 'btn-filter')) {
+                    toggleFilterBar()
+                }
+                updateAria()
+                saveLayout()
+            })
+
+            // keyboard: escape closes the menu and filter bar
+            eCont.addEventListener("keydown", function (e) {
+                var key = e.key || e.keyCode
+                var target = e.target
+                if (key == 'Escape' || key == 27) {
+                    if (!hasClass(eExport, 'hide') && getParent(target, 'export-menu') || target === bExport) {
+                        addClass(eExport, 'hide')
+                        updateAria()
+                        bExport.focus()
+                    }
+                    else if (getParent(target, 'filter-bar')) {
+                        toggleFilterBar(false)
+                        bFilter.focus()
+                    }
                 }
             })
 
+            // filter bar events
+            eFilter.addEventListener("click", function (e) {
+                var level = e.target.getAttribute('data-level')
+                if (!level) return
+                var levels = filters.levels.slice(0)
+                var index = levels.indexOf(level)
+                if (index > -1) levels.splice(index, 1)
+                else levels.push(level)
+                setFilter({levels: levels})
+            })
+            eFilterObject.addEventListener("input", function () {
+                setFilter({object: eFilterObject.value})
+            })
+            eFilterText.addEventListener("input", function () {
+                setFilter({text: eFilterText.value})
+            })
+
+            // export menu events
+            eExport.addEventListener("click", function (e) {
+                var format = e.target.getAttribute('data-format')
+                if (!format) return
+                e.preventDefault()
+                exportLogs(format, hasClass(e.target, 'export-copy') ? 'copy' : 'download')
+                addClass(eExport, 'hide')
+            })
+
             // line item events
             eOutput.addEventListener("click", function (e) {
                 var li = getParent(e.target.parentElement, 'li')
@@ -769,39 +2082,344 @@ var iDebugConsole = function() {
                     // show location
                     if (hasClass(e.target, "btn-location")) {
                         toggleClass(li.getElementsByClassName("loc"), "hide")
+                        e.target.setAttribute('aria-expanded', !hasClass(li.getElementsByClassName("loc")[0], 'hide'))
                     }
                     // show stack
                     if (hasClass(e.target, "btn-stack")) {
                         if (!scrollMode) toggleScrollMode()
                         toggleClass(li.getElementsByClassName("stack"), "hide")
+                        e.target.setAttribute('aria-expanded', !hasClass(li.getElementsByClassName("stack")[0], 'hide'))
                     }
                     // show message object
                     if (hasClass(e.target, "msg-object-btn")) {
-                        console.log('clicked listener', e.target.target)
                         var obj = document.getElementById(e.target.target)
-                        toggleClass(obj,'hide')
+                        if (obj && obj.inspector) obj.inspector.toggle()
                     }
+                    // expand or collapse a group
+                    else if (hasClass(li, 'group') && getParent(e.target, 'message') &&
+                        getParent(e.target, 'li') === li && !hasClass(e.target, 'btn-stack') && !hasClass(e.target, 'btn-location'))
+                        toggleClass(li, 'collapsed')
                 }
             })
 
-            // catch real errors and print to screen
-            window.onerror = function (message, url, line, col, e) {
-                var loc = new LogLocation({url: url, line: line, col: col, error:e})
-                printToScreen('error', loc, [message], true)
-                return false;
-            }.bind(this);
+            if (options.persistHistory)
+                initHistory(options.persistHistory === true ? {} : options.persistHistory)
+
+            if (options.hotkeys !== false)
+                initHotkeys(options.hotkeys || {})
+
+            catchErrors()
+
+            if (eCmd) initCommandLine()
 
             makeTouchScroll(eOpCont)
 
             // enable drag resize zoom
-            drs = core.util.DRS.makeDRS(eCont, [bDrag, {left: 0, bottom: 28, top: 0, width: 28}])
+            var dragBottom = optionsHeight + (eCmd ? cmdHeight : 0)
+            drs = core.util.DRS.makeDRS(eCont, [bDrag, {left: 0, bottom: dragBottom, top: 0, width: 28}])
             drs.togglePercent(true) // start in percent mode
 
-            // Call the apropriate state method
-            if (options.state) this[options.state].call(this)
-
             // finally set view status
             onScreen = true
+
+            // Restore the stored layout or call the apropriate state method
+            persistLayout = options.persistLayout !== false
+            var layout = persistLayout && getLayout()
+            if (layout)
+                restoreLayout(layout)
+            else if (options.state)
+                this[options.state].call(this)
+
+            // store the layout after drag and resize and before leaving the page
+            var saveLater = function () {setTimeout(saveLayout, 0)}
+            eCont.addEventListener('mouseup', saveLater)
+            eCont.addEventListener('touchend', saveLater)
+            window.addEventListener('pagehide', saveLayout)
+        }
+
+        /**
+         * Parses the hotkeys and listens for them on the document.
+         * @param keys {object} - {action: "modifier+key"} overriding the default hotkeys, false disables an action.
+         * @private
+         */
+        function initHotkeys(keys) {
+            hotkeys = []
+            for (var action in defaultHotkeys) {
+                var combo = keys[action] !== undefined ? keys[action] : defaultHotkeys[action]
+                if (!combo) continue
+                var parts = String(combo).toLowerCase().split('+')
+                var hotkey = {action: action, key: parts.pop()}
+                for (var i in parts)
+                    hotkey[parts[i] == 'control' ? 'ctrl' : parts[i]] = true
+                hotkeys.push(hotkey)
+            }
+            d.addEventListener('keydown', function (e) {
+                for (var i in hotkeys) {
+                    var hotkey = hotkeys[i]
+                    if (!!hotkey.alt != e.altKey || !!hotkey.shift != e.shiftKey ||
+                        !!hotkey.ctrl != e.ctrlKey || !!hotkey.meta != e.metaKey) continue
+                    // AltGr types characters, it is ctrl+alt on Windows
+                    if (e.getModifierState && e.getModifierState('AltGraph')) continue
+                    // the code is used when a modifier changes the key, e.g. alt on mac
+                    var key = String(e.key || '').toLowerCase()
+                    if (key != hotkey.key && e.code != 'Key' + hotkey.key.toUpperCase() && e.code != 'Digit' + hotkey.key)
+                        continue
+                    e.preventDefault()
+                    runHotkey(hotkey.action)
+                    return
+                }
+            })
+        }
+
+        function runHotkey(action) {
+            switch (action) {
+                case 'toggle':
+                    if (isClosed()) {
+                        focusBeforeOpen = d.activeElement
+                        open(scrollMode ? scrollWd || openWd || initOpenW : passiveWd || openWd || initOpenW)
+                        var focus = eCmdInput || bClose
+                        focus.focus()
+                    } else {
+                        close()
+                        if (focusBeforeOpen && focusBeforeOpen.focus && d.body.contains(focusBeforeOpen))
+                            focusBeforeOpen.focus()
+                        focusBeforeOpen = null
+                    }
+                    break
+                case 'clear':
+                    bClear.click()
+                    break
+                case 'scrollMode':
+                    bScroll.click()
+                    break
+                case 'locations':
+                    bTogLoc.click()
+                    break
+                case 'filter':
+                    if (isClosed()) open(passiveWd || openWd || initOpenW)
+                    toggleFilterBar(true)
+                    break
+                case 'nextError':
+                    selectError(1)
+                    break
+                case 'prevError':
+                    selectError(-1)
+                    break
+            }
+        }
+
+        /**
+         * Scrolls to and focuses the next or previous visible error line.
+         * @param step {integer} - 1 for the next error, -1 for the previous one.
+         * @private
+         */
+        function selectError(step) {
+            var errors = []
+            var lines = eOutput.getElementsByTagName('li')
+            for (var i = 0; i < lines.length; i++)
+                if (hasClass(lines[i], 'error') && !hasClass(lines[i], 'filtered'))
+                    errors.push(lines[i])
+            if (!errors.length) return announce('No errors')
+
+            var current = eOutput.getElementsByClassName('selected')[0]
+            if (current) removeClass(current, 'selected')
+            errorIndex = errors.indexOf(current)
+            errorIndex = errorIndex < 0 ? (step > 0 ? 0 : errors.length - 1) :
+                (errorIndex + step + errors.length) % errors.length
+
+            var line = errors[errorIndex]
+            addClass(line, 'selected')
+            if (isClosed()) open(passiveWd || openWd || initOpenW)
+            if (!scrollMode) toggleScrollMode()
+            eOpCont.scrollTop = line.offsetTop - eOpCont.offsetHeight / 3
+            line.setAttribute('tabindex', '-1')
+            line.focus()
+            announce('Error ' + (errorIndex + 1) + ' of ' + errors.length)
+        }
+
+        /**
+         * Reads a message to screen reader users.  Messages announced together are read together,
+         * a message which is not kept replaces the previous ones which are not kept.
+         * @param text {string}
+         * @param [keep=false] {bool} - Errors and warnings are always read, the first ten in full.
+         * @private
+         */
+        function announce(text, keep) {
+            if (!eLive) return
+            if (!keep)
+                announcements = announcements.filter(function (a) {return a.keep})
+            announcements.push({text: text, keep: !!keep})
+            if (announceTimer) return
+            eLive.textContent = ''
+            // a changed text is announced even when it equals the previous text
+            announceTimer = setTimeout(function () {
+                var texts = announcements.map(function (a) {return a.text})
+                if (texts.length > 10)
+                    texts = texts.slice(0, 10).concat([(texts.length - 10) + ' more messages'])
+                eLive.textContent = texts.join('. ')
+                announcements = []
+                announceTimer = null
+            }, 50)
+        }
+
+        // adds command line events
+        function initCommandLine() {
+            eCmdInput.addEventListener("keydown", function (e) {
+                var key = e.key || e.keyCode
+                // run
+                if (key == 'Enter' || key == 13) {
+                    e.preventDefault()
+                    var cmd = eCmdInput.value
+                    eCmdInput.value = ''
+                    hideSuggestions()
+                    runCommand(cmd)
+                }
+                // history
+                else if (key == 'ArrowUp' || key == 38) {
+                    e.preventDefault()
+                    showHistory(-1)
+                }
+                else if (key == 'ArrowDown' || key == 40) {
+                    e.preventDefault()
+                    showHistory(1)
+                }
+                // complete
+                else if (key == 'Tab' || key == 9) {
+                    e.preventDefault()
+                    complete()
+                }
+                else if (key == 'Escape' || key == 27) {
+                    hideSuggestions()
+                }
+            })
+
+            // completions evaluate the expression, which may run getters, so only tab shows them
+            eCmdInput.addEventListener("input", function () {
+                hideSuggestions()
+            })
+
+            // tap a completion to insert it
+            eCmdSuggest.addEventListener("click", function (e) {
+                var completion = e.target.getAttribute('data-completion')
+                if (completion === null) return
+                insertCompletion(completion)
+                hideSuggestions()
+                eCmdInput.focus()
+            })
+
+            // keep focus on the command line when the view has the only pointer events
+            eCmd.addEventListener("click", function () {
+                eCmdInput.focus()
+            })
+        }
+
+        /**
+         * Evaluates a command in page scope and prints the command and result.
+         * @param cmd {string} - Javascript to evaluate.
+         * @returns {*} The result.
+         * @memberof DebuggerView
+         */
+        function runCommand(cmd) {
+            if (!cmd || !cmd.trim()) return
+            if (cmdHistory[cmdHistory.length - 1] !== cmd)
+                cmdHistory.push(cmd)
+            if (cmdHistory.length > cmdMaxHistory)
+                cmdHistory.shift()
+            cmdIndex = cmdHistory.length
+
+            printToScreen('command', cmdLoc, [literal(cmd)])
+            try {
+                // indirect eval runs in the global scope
+                var result = (0, eval)(cmd)
+                printToScreen('result', cmdLoc, [resultArg(result)])
+                return result
+            } catch (error) {
+                var loc = {stack: String(error && error.stack || '').split('\n').slice(1), str: '(console)', longStr: '(console)'}
+                printToScreen('error', loc, [literal(error && error.name ? error.name + ': ' + error.message : String(error))])
+            }
+        }
+
+        // Returns the printable argument of a command result
+        function resultArg(result) {
+            if (typeof result == 'string') return literal(JSON.stringify(result))
+            if (result && (typeof result == 'object' || typeof result == 'function')) return result
+            return String(result)
+        }
+
+        // Text printed as is, format specifiers such as %c are not applied
+        function literal(str) {
+            return new HTMLSafeString(escapeHtml(str), str)
+        }
+
+        // Shows the previous (-1) or next (1) command in the history
+        function showHistory(step) {
+            if (!cmdHistory.length) return
+            cmdIndex = Math.max(0, Math.min(cmdHistory.length, cmdIndex + step))
+            eCmdInput.value = cmdHistory[cmdIndex] || ''
+            hideSuggestions()
+        }
+
+        /**
+         * Returns the property completions for the expression at the end of a command.
+         * @param cmd {string}
+         * @returns {{partial:string, completions:string[]}}
+         * @private
+         */
+        function getCompletions(cmd) {
+            var match = cmd.match(/((?:[\w$]+\.)*)([\w$]*)$/)
+            var base = match[1].replace(/\.$/, '')
+            var partial = match[2]
+            var completions = []
+            if (!base && !partial) return {partial: partial, completions: completions}
+
+            var obj
+            try {
+                obj = base ? (0, eval)(base) : window
+            } catch (e) {
+                return {partial: partial, completions: completions}
+            }
+            if (obj === null || obj === undefined) return {partial: partial, completions: completions}
+
+            // own and inherited property names
+            var proto = Object(obj)
+            while (proto) {
+                var names = Object.getOwnPropertyNames(proto)
+                for (var i in names)
+                    if (names[i].indexOf(partial) == 0 && completions.indexOf(names[i]) < 0 && /^[\w$]+$/.test(names[i]))
+                        completions.push(names[i])
+                proto = Object.getPrototypeOf(proto)
+            }
+            completions.sort()
+            return {partial: partial, completions: completions}
+        }
+
+        // Inserts the longest common completion and shows the completions
+        function complete() {
+            var completions = getCompletions(eCmdInput.value).completions
+            if (!completions.length) return hideSuggestions()
+
+            var common = completions[0]
+            for (var i in completions)
+                while (completions[i].indexOf(common) != 0)
+                    common = common.slice(0, -1)
+            insertCompletion(common)
+            if (completions.length == 1) return hideSuggestions()
+
+            eCmdSuggest.innerHTML = ''
+            for (var i = 0; i < completions.length && i < cmdMaxSuggest; i++)
+                createEle("li", eCmdSuggest, escapeHtml(completions[i])).setAttribute('data-completion', completions[i])
+            if (completions.length > cmdMaxSuggest)
+                createEle("li.more", eCmdSuggest, '+' + (completions.length - cmdMaxSuggest) + ' more')
+            removeClass(eCmdSuggest, 'hide')
+        }
+
+        // Replaces the partial property name at the end of the command line
+        function insertCompletion(completion) {
+            eCmdInput.value = eCmdInput.value.replace(/[\w$]*$/, completion)
+        }
+
+        function hideSuggestions() {
+            addClass(eCmdSuggest, 'hide')
         }
 
         // adds touch scrolling to a scrollable element
@@ -858,35 +2476,44 @@ var iDebugConsole = function() {
             outputArgs.shift() // remove level
             outputArgs.shift() // remove options
 
-            var loc = new LogLocation()
+            var loc = new LogLocation({sourceMaps: options.sourceMaps})
 
-            // add prefix
-            var prefix
-            if (options.prefixConsole || options.prefixOverlay)
-                prefix = Debugger.prototype.getPrefixArgs(arguments, this, loc)
+            // the line of the console method, e.g. the count of a label, none for time()
+            var call = Debugger.prototype.consoleCall(level, outputArgs, this)
+            if (call) {
+                var record = Debugger.prototype.addRecord(call.level, this, options, call.args, loc)
+                var callPrefix = options.prefixOverlay &&
+                    Debugger.prototype.getPrefixArgs([call.level, options].concat(call.args), this, loc)
 
-            // print to screen
-            if (options.prefixOverlay)
-                printToScreen(level, loc, prefix)
-            else
-               printToScreen(level, loc, outputArgs)
+                // print to screen
+                if (options.prefixOverlay)
+                    printToScreen(call.level, loc, callPrefix, false, record, this)
+                else
+                    printToScreen(call.level, loc, call.args, false, record, this)
+            }
 
             // start write to console
 
             // Select args for console and add location string
             var consoleArgs = []
-            if (options.prefixConsole)
-                if(prefix.prefixObj)
-                    consoleArgs = consoleArgs.concat(prefix.prefixArray, prefix.prefixObj, prefix.msgArray)
-                else
-                    consoleArgs = consoleArgs.concat(prefix.prefixArray, prefix.msgArray)
-            else
+            if (labelMethods.indexOf(level) > -1)
                 consoleArgs = outputArgs
-
-            consoleArgs = consoleArgs.concat([loc.str])
+            else {
+                if (options.prefixConsole) {
+                    var prefix = Debugger.prototype.getPrefixArgs(arguments, this, loc)
+                    // prefixObj follows the message so format specifiers apply to the message args
+                    if(prefix.prefixObj)
+                        consoleArgs = consoleArgs.concat(prefix.prefixArray, prefix.msgArray, prefix.prefixObj)
+                    else
+                        consoleArgs = consoleArgs.concat(prefix.prefixArray, prefix.msgArray)
+                }
+                else
+                    consoleArgs = outputArgs
+                consoleArgs = consoleArgs.concat([loc.str])
+            }
             try {
-                if (console[level])
-                    console[level].apply(window.console, consoleArgs)
+                if (nativeConsole[level])
+                    nativeConsole[level].apply(window.console, consoleArgs)
                 else
                     output.call(this, 'warn', options, 'The native console does not support "' + level + '"' + '!')
             } catch (e) {
@@ -901,308 +2528,2237 @@ var iDebugConsole = function() {
          * @param loc {LogLocation}
          * @param msgArgs {Array|object} Array of message args or prefix object.
          * @param [noescape=false] {bool} Do not html escape the output args.
+         * @param [record] {object} The log record, identifies the object for filters.
+         * @param [caller] {object} The object calling debug, lines are added to it's open group.
+         * @returns {Element|null} The line, null for groupEnd.
          */
-        function printToScreen(level, loc, inputArgs, noescape){
-            var prefix, message, parts,
+        function printToScreen(level, loc, inputArgs, noescape, record, caller){
+            var message, parts, objects,
                 stack = '',
-                objects = [],
                 prefixObj = inputArgs.prefixObj
 
-            if (inputArgs.prefixArray){
-                inputArgs.prefixArray.push(prefixObj)
-                parts = formatArgs(inputArgs.prefixArray, noescape)
-                prefix = parts[0]
-                objects = parts[1]
-                inputArgs = inputArgs.msgArray
+            if (level == 'groupEnd') {
+                endGroup(caller)
+                return null
+            }
+
+            // table data and columns are shown as a table after the message
+            var table
+            var tableArgs = inputArgs.msgArray || inputArgs
+            if (level == 'table' && ObjectInspector.isObject(tableArgs[0])) {
+                table = new TableView(tableArgs[0], tableArgs[1])
+                tableArgs = Array.prototype.slice.call(tableArgs, 2)
+                if (inputArgs.msgArray)
+                    inputArgs = {prefixArray: inputArgs.prefixArray, msgArray: tableArgs, prefixObj: prefixObj,
+                        formatted: inputArgs.formatted}
+                else
+                    inputArgs = tableArgs
+            }
+
+            // flame charts are shown after the message instead of as objects
+            var charts = []
+            var msgArgs = Array.prototype.filter.call(inputArgs.msgArray || inputArgs, function (arg) {
+                if (!(arg instanceof FlameChart)) return true
+                charts.push(arg)
+            })
+            if (charts.length) {
+                if (inputArgs.msgArray)
+                    inputArgs = {prefixArray: inputArgs.prefixArray, msgArray: msgArgs, prefixObj: prefixObj,
+                        formatted: inputArgs.formatted}
+                else
+                    inputArgs = msgArgs
             }
 
+            // the prefix and message share one format string, unless it is formatted already
+            if (inputArgs.prefixArray)
+                inputArgs = (inputArgs.formatted ? [literal(inputArgs.prefixArray[0])] : inputArgs.prefixArray)
+                    .concat(inputArgs.msgArray)
+
             parts = formatArgs(inputArgs , noescape)
             message = parts[0]
-            objects = objects.concat(parts[1])
+            objects = parts[1]
+            if (prefixObj)
+                message += '<br>' + inspectorLink(prefixObj, objects) + '<br>'
 
             // prepare stack
-            for (var s in loc.stack)
-                stack += "--> " + loc.stack[s] + "<br>"
+            stack = stackHtml(loc.stack)
 
             // create li element and message
-            var e = createEle("li."+ level, eOutput)
+            var e = createEle("li."+ level, groupList(caller))
             e.className = level
+            if (record) {
+                // replayed entries have no LogLocation and are stored already
+                if (record.loc) rememberRecord(record)
+                e.setAttribute('data-object', record.object || '')
+                e.setAttribute('data-namespace', record.namespace || '')
+                e.setAttribute('data-id', record.id === undefined ? '' : record.id)
+            }
             var eMsg = createEle("div.message", e)
             // add ICONS
             var eLevel = createEle("i.level", eMsg)
             eLevel.innerHTML = level + " "
             var eStackB = createEle("i.btn-stack", eMsg, iStack + " ")
+            makeButton(eStackB, 'Stack')
+            eStackB.setAttribute('aria-expanded', level == 'trace')
             eStackB.style.fontSize = "1.1em"
             //eSB.style.verticalAlign= "middle"
             var eLocB = createEle("i.btn-location", eMsg, iLoc)
+            makeButton(eLocB, 'Location')
+            eLocB.setAttribute('aria-expanded', showLocations)
             eLocB.style.fontSize = ".8em"
             eLocB.style.verticalAlign = "middle"
             // Hidden location
-            var eLoc = createEle("span.loc.hide", eMsg)
-            eLoc.innerHTML = loc.longStr + " "
+            var eLoc = createEle(showLocations ? "span.loc" : "span.loc.hide", eMsg)
+            eLoc.innerHTML = escapeHtml(loc.longStr) + " "
             createEle("span", eMsg, ': ')
             // add message & prefix
-            if(prefix) {
-                createEle("span.msg-prefix", eMsg, prefix)
-            }
             var eText = createEle("span.msg-text", eMsg)
             eText.innerHTML =  message
+            if (table)
+                e.appendChild(table.element)
+            for (var c in charts)
+                e.appendChild(charts[c].render())
             // Add objects
             for (var i in objects)
                 e.appendChild(objects[i])
-            var eStack = createEle("div.stack.hide", e, stack)
+            // trace shows it's stack
+            var eStack = createEle(level == 'trace' ? "div.stack" : "div.stack.hide", e, stack)
+            if (level == 'group' || level == 'groupCollapsed')
+                startGroup(caller, e, level == 'groupCollapsed')
+
+            // update the location when it's source map is loaded
+            if (loc.resolving)
+                loc.onResolve(function () {
+                    eLoc.innerHTML = escapeHtml(loc.longStr) + " "
+                    eStack.innerHTML = stackHtml(loc.stack)
+                })
+
+            applyFilter(e)
+
+            // replayed lines have no LogLocation and are not announced
+            if ((level == 'error' || level == 'warn') && (!record || record.loc))
+                announce((level == 'error' ? 'Error: ' : 'Warning: ') + eText.textContent.slice(0, 200), true)
 
             // auto scroll to bottom
             if (autoScroll)
                 eOpCont.scrollTop = eOpCont.scrollHeight
+            return e
         }
 
-        // old solution only handles %c and no objects
-        function argsToString(outputArgs, noescape){
-            // Apply css style as required
-            var cssText = []
-            if (!outputArgs.length) return ''
-            outputArgs = Array.prototype.slice.call(outputArgs, 0)
-            if (typeof outputArgs[0] === 'string')
-                cssText = outputArgs[0].split('%c')
-            if (cssText.length >= 1) {
-                outputArgs.shift()
-                for (var i in cssText)
-                    if (i !== '0') //index 0 will never be css styled
-                        cssText[i] = '<span style="' + outputArgs.shift() + '">' + (noescape ? cssText[i] : escapeHtml(cssText[i])) + '</span>'
-            }
+        /**
+         * Prints uncaught errors, promise rejections, resource load failures and content security
+         * policy violations.  Listeners are added so handlers of the page, such as window.onerror,
+         * keep working.
+         * @private
+         */
+        function catchErrors() {
+            // runtime errors bubble to window, resource errors are only seen in the capture phase
+            window.addEventListener('error', function (e) {
+                var target = e.target
+                if (target && target !== window && target.tagName) {
+                    var url = target.src || target.href || target.currentSrc || ''
+                    printEvent('error', 'resource', new LogLocation({url: url, error: {}}),
+                        ['Failed to load ' + target.tagName.toLowerCase() + ':', url || target.outerHTML])
+                } else {
+                    var loc = new LogLocation({url: e.filename, line: e.lineno, col: e.colno, error: e.error || {}})
+                    printEvent('error', 'uncaught', loc, [e.message || 'Uncaught ' + String(e.error)])
+                }
+            }, true)
 
-            // prepare message
-            var message = ''
-            for (var i in outputArgs)
-                message += outputArgs[i] + " "
-            if (!noescape)
-                message = escapeHtml(message)
-            return cssText.join('') + message
-        }
-
-        function objectToList(obj, id){
-            var ele = createEle("ul#"+id+'.hide')
-            for (var p in obj || []) {
-                var value = obj[p]
-                var valueName = (typeof value === 'function' ? 'function()' :
-                    value == null ? null : value.toString())
-                var li = createEle("li", ele, p + ' : ' + valueName)
-                if (typeof value !== "object" || value == null) continue
-                var objId = id + '_' + p
-                li.id = objId
-                li.innerHTML = p + ' : '
-                var a = createEle("a", li)
-                a.innerHTML = value.toString()
-                a.onclick = function (obj, id, e) {
-                    e.stopPropagation()
-                    console.log('clicked:', e.target.target)
-                    console.log('appendTo:', e.target.parentElement)
-                    var ele = objectToList(obj, id+'_obj')
-                    console.log('new ele:', ele)
-                    e.target.parentElement.appendChild(ele)
-                    toggleClass(ele, 'hide')
-                }.bind(this, value, objId)
+            window.addEventListener('unhandledrejection', function (e) {
+                printEvent('error', 'rejection', reasonLocation(e.reason), reasonArgs('Uncaught (in promise)', e.reason))
+            })
+
+            window.addEventListener('rejectionhandled', function (e) {
+                printEvent('info', 'rejection-handled', reasonLocation(e.reason),
+                    reasonArgs('Promise rejection handled asynchronously:', e.reason))
+            })
+
+            document.addEventListener('securitypolicyviolation', function (e) {
+                var loc = new LogLocation({url: e.sourceFile, line: e.lineNumber, col: e.columnNumber, error: {}})
+                printEvent('warn', 'csp', loc, ['Content Security Policy: "' + e.violatedDirective +
+                    '" blocked ' + (e.blockedURI || 'inline'), {
+                    directive: e.effectiveDirective || e.violatedDirective,
+                    blockedURI: e.blockedURI,
+                    disposition: e.disposition,
+                    sample: e.sample,
+                    policy: e.originalPolicy
+                }])
+            })
+        }
+
+        // The location where a rejection reason was created, unknown when it's not an error
+        function reasonLocation(reason) {
+            return new LogLocation({error: hasStack(reason) ? reason : {}})
+        }
+
+        function reasonArgs(message, reason) {
+            if (!hasStack(reason))
+                return [message, reason]
+            var text = String(reason)
+            if (text == '[object Object]')
+                text = (reason.name || 'Error') + ': ' + reason.message
+            return [message + ' ' + text]
+        }
+
+        // Errors of other frames or workers are no instance of Error, neither are objects with a stack
+        function hasStack(reason) {
+            return !!reason && typeof reason.stack == 'string'
+        }
+
+        /**
+         * Records and prints an event of the page, the line is styled by it's level and kind.
+         * @param level {string} - Console level
+         * @param kind {string} - Class name of the line, e.g. "rejection"
+         * @param loc {LogLocation}
+         * @param args {Array}
+         * @param [caller] {object} - The object of the record ["window"].
+         * @private
+         */
+        function printEvent(level, kind, loc, args, caller) {
+            try {
+                caller = caller || eventCaller
+                var record = Debugger.prototype.addRecord(level, caller, {}, args, loc)
+                var e = printToScreen(level, loc, args, false, record, caller)
+                if (e) addClass(e, kind)
+            } catch (e) {
+                // reporting an error must not raise another one
             }
-            ele.onclick = function(cont, e){
-                toggleClass(cont, 'hide')
-            }.bind(this, ele)
-            return ele
         }
 
-        function formatArgs(outputArgs, noescape) {
-            // prepare message
-            outputArgs = compileStrFormats(outputArgs, noescape)
-            var message = '', objects = []
-            for (var i in outputArgs) {
-                var arg = outputArgs[i]
-                if (!arg) continue // usefull ?
-                if (typeof arg === 'string')
-                    message += (noescape? arg : escapeHtml(arg)) + ' '
-                else if (arg instanceof HTMLSafeString)
-                    message += arg.safe + ' '
-                else {
-                    var id = 'msg-object-'+Date.now()
-                    var ele = objectToList(arg, id)
-                    message += '<br><a target="%s" class="msg-object-btn">%s</a><br>'.format(id, arg)
-                    objects.push(ele)
+        /**
+         * Loads and shows the history of previous pages and starts storing the lines of this page.
+         * @param options {object} - See options.persistHistory of {@link DebuggerView}.
+         * @private
+         */
+        function initHistory(options) {
+            history = {
+                store: new HistoryStore(layoutKey.replace('layout', 'history'), options.storage),
+                entries: [],
+                limit: options.limit || 200,
+                maxSize: options.maxSize || 500000,
+                loaded: false,
+                timer: null
+            }
+            history.store.load(function (entries) {
+                history.loaded = true
+                // a reload is marked only when lines of a previous page were stored
+                if (entries.length) {
+                    // lines of this page printed before an asynchronous load follow the marker
+                    var marker = {marker: true, url: location.href, time: new Date().toISOString()}
+                    history.entries = entries.concat([marker], history.entries)
+                    replayHistory(entries.concat([marker]))
                 }
+                saveHistory()
+            })
+            window.addEventListener('pagehide', function () {
+                if (history) writeHistory()
+            })
+        }
+
+        // Adds a record to the history
+        function rememberRecord(record) {
+            if (!history || !record) return
+            var entry = exportEntry(record, true)
+            history.entries.push(entry)
+            saveHistory()
+            if (record.loc && record.loc.resolving)
+                record.loc.onResolve(function () {
+                    var index = history.entries.indexOf(entry)
+                    if (index < 0) return
+                    history.entries[index] = exportEntry(record, true)
+                    saveHistory()
+                })
+        }
+
+        // Writes the history soon, lines logged together are written once
+        function saveHistory() {
+            if (!history.loaded || history.timer) return
+            history.timer = setTimeout(writeHistory, 50)
+        }
+
+        // Writes the history after dropping the oldest lines above the limit or size
+        function writeHistory() {
+            clearTimeout(history.timer)
+            history.timer = null
+            if (!history.loaded) return
+            var entries = history.entries = history.entries.slice(-history.limit)
+            var str = JSON.stringify(entries)
+            while (str.length > history.maxSize && entries.length > 1) {
+                entries.splice(0, Math.max(1, Math.ceil(entries.length / 10)))
+                str = JSON.stringify(entries)
             }
-            return [message, objects]
+            history.store.save(str)
         }
 
-        function compileStrFormats(outputArgs, noescape){
-            // Make a copy since were going to mutate them
-            outputArgs = outputArgs.slice(0)
-            var str = outputArgs[0]
-            if(typeof str !== 'string') return outputArgs
-
-            // Remove confirmed formatted string or return args
-            var markers = /%s|%c/g
-            var foundMarkers = str.match(markers)
-            if(foundMarkers) outputArgs.shift()
-            else return outputArgs
-
-            // Remove all outputArgs assigned to markers
-            var fArgs = []
-            for (var i in foundMarkers)
-                fArgs.push(outputArgs.shift())
-
-            // Apply formatting
-            var marker, segHtml, seg, arg
-            var segments = str.split(markers)
-            var firstSeg = segments.shift()
-            var htmlSegs = [noescape ? firstSeg : escapeHtml(firstSeg)]
-            var isCss = false
-            for (var i in segments) {
-                i = parseInt(i)
-                marker = foundMarkers[i]
-                seg = segments[i]
-                arg = fArgs[i]
-                segHtml = noescape ? seg : escapeHtml(seg)
-                if (marker == '%s') {
-                    segments[i] = arg + seg
-                    htmlSegs[i+1] = (noescape ? arg : escapeHtml(arg)) + segHtml
-                }
-                else if (marker == '%c') {
-                    if(isCss) htmlSegs[i+1] = '</span>'
-                    else htmlSegs[i+1] = ''
-                    htmlSegs[i+1] += '<span style="' + arg + '">' + segHtml
-                    segments[i] = seg
-                    isCss = true
+        // Prints stored entries above the lines of this page
+        function replayHistory(entries) {
+            var output = eOutput
+            eOutput = createEle("ol.output")
+            for (var i in entries) {
+                var entry = entries[i]
+                if (entry.marker) {
+                    createEle("li.reload", eOutput, '&#8635; page reload: ' + escapeHtml(entry.url))
+                    continue
                 }
+                var l = entry.location || {}
+                var str = [l.file, l.line, l.col].join(':')
+                var loc = {stack: entry.stack, str: '(' + str + ')', longStr: '(' + l.func + '@' + str + ')'}
+                var level = entry.level == 'group' || entry.level == 'groupCollapsed' ? 'log' : entry.level
+                // the message is formatted already
+                var message = (entry.prefix ? entry.prefix + ' -> ' : '') + entry.message
+                var e = printToScreen(level, loc, [new HTMLSafeString(escapeHtml(message), message)], false, entry)
+                addClass(e, 'replayed')
             }
-            if (isCss) htmlSegs[i+1] += '</span>'
-            outputArgs.unshift(new HTMLSafeString(htmlSegs.join(''), firstSeg+segments.join('')))
-            return outputArgs
+            var lines = Array.prototype.slice.call(eOutput.childNodes, 0)
+            eOutput = output
+            var first = eOutput.firstChild
+            for (var j in lines)
+                eOutput.insertBefore(lines[j], first)
+            updateFilterCount()
         }
 
-        sFormat = compileStrFormats
-
-        function HTMLSafeString(safe, unsafe){
-            this.safe = safe
-            this.unsafe = unsafe
+        /**
+         * Removes the stored history of previous pages, lines of this page are stored from now on.
+         * @memberof DebuggerView
+         */
+        function clearHistory() {
+            if (!history) return
+            history.entries = []
+            history.store.clear()
+        }
+
+        /**
+         * Records and prints a statement of a synthetic object such as an intercepted console call.
+         * @param level {string} - Console level
+         * @param caller {object} - The synthetic object, it's name is added to the class of the line
+         * @param args {Array}
+         * @param loc {LogLocation}
+         * @memberof DebuggerView
+         */
+        function mirror(level, caller, args, loc) {
+            printEvent(level, caller._debugObjectName, loc, args, caller)
+        }
+
+        // Returns the open groups of an object
+        function groupsOf(caller, create) {
+            for (var i in groups)
+                if (groups[i].caller === caller) return groups[i]
+            if (!create) return null
+            var group = {caller: caller, lists: []}
+            groups.push(group)
+            return group
+        }
+
+        // Returns the list of the innermost open group of an object or the output
+        function groupList(caller) {
+            var group = caller && groupsOf(caller)
+            return group && group.lists.length ? group.lists[group.lists.length - 1] : eOutput
+        }
+
+        /**
+         * Turns a line into a collapsible group, following lines of the object are nested until
+         * it's group ends.
+         * @param caller {object} The object calling debug
+         * @param e {Element} The line
+         * @param collapsed {bool}
+         * @private
+         */
+        function startGroup(caller, e, collapsed) {
+            e.className = 'group ' + e.className
+            if (collapsed) addClass(e, 'collapsed')
+            groupsOf(caller, true).lists.push(createEle("ol.group-items", e))
+        }
+
+        function endGroup(caller) {
+            var group = caller && groupsOf(caller)
+            if (!group) return
+            group.lists.pop()
+            if (!group.lists.length)
+                groups.splice(groups.indexOf(group), 1)
+        }
+
+        function stackHtml(stack) {
+            var html = ''
+            for (var s in stack)
+                html += "--> " + escapeHtml(String(stack[s])) + "<br>"
+            return html
+        }
+
+        function formatArgs(outputArgs, noescape) {
+            // prepare message
+            var compiled = compileStrFormats(outputArgs, noescape)
+            var message = compiled.html, objects = compiled.objects
+            outputArgs = compiled.rest
+            for (var i in outputArgs) {
+                var arg = outputArgs[i]
+                if (arg === '') continue
+                if (typeof arg === 'string')
+                    message += (noescape? arg : escapeHtml(arg)) + ' '
+                else if (arg instanceof HTMLSafeString)
+                    message += arg.safe + ' '
+                else if (!ObjectInspector.isObject(arg))
+                    message += escapeHtml(ObjectInspector.preview(arg)) + ' '
+                else
+                    message += '<br>' + inspectorLink(arg, objects) + '<br>'
+            }
+            return [message, objects]
+        }
+
+        // Returns the html of a link showing an inspector and adds the inspector element to objects
+        function inspectorLink(arg, objects) {
+            var inspector = new ObjectInspector(arg)
+            objects.push(inspector.element)
+            return '<a target="%s" class="msg-object-btn">%s</a>'.format(
+                inspector.id, escapeHtml(ObjectInspector.preview(arg)))
+        }
+
+        /**
+         * Applies the format specifiers of the first argument as html, see {@link formatSpecifiers}.
+         * Objects formatted with %o or %O are shown with an inspector.
+         * @param outputArgs {Array}
+         * @param [noescape=false] {bool} Do not html escape the format string.
+         * @returns {{html:string, objects:Element[], rest:Array}} The formatted html, the inspector
+         * elements and the args not used by the format string.
+         * @private
+         */
+        function compileStrFormats(outputArgs, noescape){
+            var formatted = formatSpecifiers(outputArgs)
+            var html = '', objects = [], isCss = false
+            for (var i in formatted.tokens) {
+                var token = formatted.tokens[i]
+                if (token.style !== undefined) {
+                    if (isCss) html += '</span>'
+                    html += '<span style="' + String(token.style).replace(/"/g, '&quot;') + '">'
+                    isCss = true
+                }
+                else if (token.object !== undefined)
+                    html += ObjectInspector.isObject(token.object) ? inspectorLink(token.object, objects) :
+                        escapeHtml(ObjectInspector.preview(token.object, true))
+                else
+                    html += token.format && noescape ? token.text : escapeHtml(token.text)
+            }
+            if (isCss) html += '</span>'
+            if (formatted.tokens.length) html += ' '
+            return {html: html, objects: objects, rest: formatted.rest}
+        }
+
+        /**
+         * Serializes the recorded debug statements and optionally downloads them or copies
+         * them to the clipboard.  Circular references are replaced with "[Circular]".  Logs are
+         * downloaded or copied once the source maps of their locations are resolved, the returned
+         * string may contain unresolved locations.
+         * @param {string} [format="json"] - "json", "ndjson" (one record per line) or "text".
+         * @param {string} [action] - "download" or "copy".
+         * @param {object} [query] - Only export matching records, see {@link Debugger.records}.
+         * @returns {string} The exported logs.
+         * @memberof DebuggerView
+         */
+        function exportLogs(format, action, query) {
+            format = format || 'json'
+            if (!exportFormats[format])
+                throw ('iDebugError: "' + format + '" is not a valid export format.')
+
+            var records = Debugger.prototype.records(query)
+            if (action == 'download' || action == 'copy')
+                onResolved(records, function () {
+                    var str = exportString(records, format)
+                    if (action == 'download')
+                        download(str, format)
+                    else
+                        copy(str)
+                })
+            return exportString(records, format)
+        }
+
+        // Serializes records in an export format
+        function exportString(records, format) {
+            var entries = []
+            for (var i in records)
+                entries.push(exportEntry(records[i]))
+
+            if (format == 'json')
+                return JSON.stringify(entries, null, 2)
+            else if (format == 'ndjson')
+                return entries.map(function (entry) {return JSON.stringify(entry)}).join('\n')
+            return entries.map(entryToText).join('\n')
+        }
+
+        // Calls back when the locations of all records are resolved, immediately when they are
+        function onResolved(records, callback) {
+            var pending = 1
+            var done = function () {
+                if (!--pending) callback()
+            }
+            for (var i in records) {
+                var loc = records[i].loc
+                if (loc && loc.resolving) {
+                    pending++
+                    loc.onResolve(done)
+                }
+            }
+            done()
+        }
+
+        // Converts a record to a serializable export entry, without args the entry only has the message
+        function exportEntry(record, noArgs) {
+            var loc = record.loc || {}
+            var args = []
+            if (!noArgs)
+                for (var i in record.args)
+                    args.push(safeValue(record.args[i], []))
+            var entry = {
+                time: new Date(record.time).toISOString(),
+                level: record.level,
+                object: record.object,
+                namespace: record.namespace,
+                id: safeValue(record.id, []),
+                prefix: record.prefix,
+                depth: record.depth || 0,
+                message: exportMessage(record.args),
+                args: args,
+                location: {file: loc.file, func: loc.func, line: loc.line, col: loc.col, url: loc.url},
+                stack: loc.stack || []
+            }
+            if (noArgs) delete entry.args
+            return entry
+        }
+
+        // Returns the message of debug args with format specifiers applied
+        function exportMessage(args) {
+            var formatted = formatToText(args)
+            var parts = formatted.text ? [formatted.text] : []
+            for (var i in formatted.rest) {
+                var arg = safeValue(formatted.rest[i], [])
+                parts.push(typeof arg == 'string' ? arg : JSON.stringify(arg))
+            }
+            return parts.join(' ')
+        }
+
+        // Converts an export entry to a line of text followed by it's stack
+        function entryToText(entry) {
+            var loc = entry.location
+            var indent = new Array((entry.depth || 0) + 1).join('  ')
+            var str = entry.time + ' ' + indent + entry.level.toUpperCase() + ' ' +
+                (entry.prefix ? entry.prefix + ' -> ' : '') + entry.message +
+                ' (' + loc.func + '@' + [loc.file, loc.line, loc.col].join(':') + ')'
+            for (var i in entry.stack)
+                str += '\n    ' + indent + '--> ' + String(entry.stack[i]).trim()
+            return str
+        }
+
+        /**
+         * Returns a copy of value that is safe for JSON.stringify.  Objects deeper than
+         * safeLimits.depth or beyond safeLimits.size properties are replaced with "[Object]",
+         * objects referenced more than once are copied once.
+         * @param value {*}
+         * @param parents {Array} - Objects being copied, used to detect circular references.
+         * @param [seen] {object} - Objects copied already and the count of copied properties.
+         * @returns {*}
+         * @private
+         */
+        function safeValue(value, parents, seen) {
+            if (value === undefined) return 'undefined'
+            if (typeof value == 'function') return '[Function ' + (value.name || 'anonymous') + ']'
+            if (typeof value == 'number' && !isFinite(value)) return String(value)
+            if (value === null || typeof value != 'object') return value
+            if (parents.indexOf(value) > -1) return '[Circular]'
+            if (value instanceof Date) return value.toISOString()
+            if (value instanceof Error) return {name: value.name, message: value.message, stack: value.stack}
+            if (value.nodeType) return '[' + (value.nodeName || 'Node') + (value.id ? '#' + value.id : '') + ']'
+            if (value === window) return '[Window]'
+
+            seen = seen || {values: [], copies: [], size: 0}
+            var index = seen.values.indexOf(value)
+            if (index > -1) return seen.copies[index]
+            var isArray = Array.isArray(value)
+            if (parents.length >= safeLimits.depth || seen.size >= safeLimits.size)
+                return isArray ? '[Array]' : '[Object]'
+
+            parents = parents.concat([value])
+            var copy = isArray ? [] : {}
+            seen.values.push(value)
+            seen.copies.push(copy)
+            var keys = 0
+            for (var k in value) {
+                if (++keys > safeLimits.keys || ++seen.size > safeLimits.size) {
+                    if (isArray) copy.push('[...]')
+                    else copy['...'] = '[...]'
+                    break
+                }
+                try {
+                    copy[k] = safeValue(value[k], parents, seen)
+                } catch (e) {
+                    // throwing getters
+                    copy[k] = '[' + e + ']'
+                }
+            }
+            return copy
+        }
+
+        // Offers a string as a file download
+        function download(str, format) {
+            var type = exportFormats[format]
+            var name = exportName + '-' + new Date().toISOString().replace(/[:.]/g, '-') + '.' + type[0]
+            var a = d.createElement('a')
+            if (window.Blob && window.URL && 'download' in a) {
+                var url = URL.createObjectURL(new Blob([str], {type: type[1]}))
+                a.href = url
+                a.download = name
+                d.body.appendChild(a)
+                a.click()
+                d.body.removeChild(a)
+                setTimeout(function () {URL.revokeObjectURL(url)}, 1000)
+            }
+            // iOS does not support the download attribute
+            else
+                window.open('data:' + type[1] + ';charset=utf-8,' + encodeURIComponent(str))
+        }
+
+        // Copies a string to the clipboard, with execCommand when the clipboard api is missing or denied
+        function copy(str) {
+            if (navigator.clipboard && navigator.clipboard.writeText)
+                return navigator.clipboard.writeText(str).catch(function () {
+                    execCopy(str)
+                })
+            execCopy(str)
+        }
+
+        // Copies a string to the clipboard with a selected textarea
+        function execCopy(str) {
+            var ta = d.createElement('textarea')
+            ta.value = str
+            ta.setAttribute('readonly', '')
+            ta.style.position = 'fixed'
+            ta.style.left = '-9999px'
+            d.body.appendChild(ta)
+            ta.select()
+            ta.setSelectionRange(0, str.length) // iOS
+            try {
+                d.execCommand('copy')
+            } catch (e) {
+                // copy is not supported, nothing needs to be done
+            }
+            d.body.removeChild(ta)
+        }
+
+        function HTMLSafeString(safe, unsafe){
+            this.safe = safe
+            this.unsafe = unsafe
         }
         HTMLSafeString.prototype.__proto__ = String.prototype
         HTMLSafeString.prototype.toString = function(){return this.safe}
         HTMLSafeString.prototype.valueOf = function(){return this.safe}
 
-        return {
-            init: init,
-            open: open,
-            close: close,
-            output: output,
+        return {
+            init: init,
+            open: open,
+            close: close,
+            output: output,
+            mirror: mirror,
+            runCommand: runCommand,
+            setFilter: setFilter,
+            getFilter: getFilter,
+            exportLogs: exportLogs,
+            exportEntry: exportEntry,
+            getLayout: getLayout,
+            resetLayout: resetLayout,
+            clearHistory: clearHistory
+        }
+    }()
+
+    /**
+	 * @memberof iDebugConsole
+     * @class Obtains the original location for a debug statement when intercepted for screen output.
+     * @param options {object}
+     * @param options.url {string}      - Use when the debug url known.
+     * @param options.line {string}     - Use when the debug line is known.
+     * @param options.offset {integer}  - Additional frames to skip after the frames of iDebugConsole.
+     * @param options.caller {object}  - The calling object
+     * @param options.sourceMaps {bool} - Resolve the original location with source maps, see {@link SourceMap}.
+     * @constructor
+     */
+    var LogLocation = function (options) {
+        options = options !== undefined ? options : {}
+        this.options = options
+        this.stack = []
+        this.url = options.url
+        this.path = ''
+        this.file = ''
+        this.line = options.line
+        this.col = options.col
+        this.str = ''
+        this.longStr = ''
+        this.caller = options.caller
+        this.func = ''
+        this.source = ''
+        this.error = options.error
+        this.resolving = false
+        this.callbacks = []
+
+        if(!this.error)
+            try {
+                var e = new Error()
+                throw e
+            } catch (error) {
+                this.error =  error
+            }
+
+        this.init(this.error, options.offset)
+    }
+    LogLocation.prototype = function () {
+        // Frames to skip when the location of iDebugConsole is unknown (LogLocation and it's caller)
+        var baseIndex = 2
+
+        // Position of the first and last line of iDebugConsole, frames within are internal
+        var internal
+
+        function init(e, offset) {
+            // only skip internal frames of errors created by LogLocation
+            this.frames = getFrames(e, offset, !this.options.error)
+            this.stack = []
+            for (var i in this.frames)
+                this.stack.push(this.frames[i].raw)
+            var frame = this.frames[0] || {}
+            this.url = this.url || e.url || frame.url || ''
+            this.func = this.caller && this.caller.name ?  this.caller.name : frame.func || "anonymous"
+            this.file = fileFromUrl(this.url) || "?"
+            this.line = this.line || frame.line || e.line || e.lineNumber || "?"
+            this.col = this.col || frame.col || e.column || e.columnNumber || "?"
+            setStrings.call(this)
+            if (this.options.sourceMaps)
+                resolveSourceMaps.call(this)
+        }
+
+        function setStrings() {
+            var str = [this.file, this.line, this.col].join(':')
+            this.str = "(" + str + ")"
+            this.longStr = "(" + this.func + '@' +  str + ")"
+        }
+
+        /**
+         * Calls back when the source maps of this location are loaded, immediately when
+         * they are loaded already.
+         * @param callback {function}
+         * @memberof LogLocation
+         */
+        function onResolve(callback) {
+            if (this.resolving) this.callbacks.push(callback)
+            else callback(this)
+        }
+
+        // Maps the location and stack to the original source, synchronous when the maps are cached
+        function resolveSourceMaps() {
+            var loc = this
+            var pending = 1
+            var done = function () {
+                if (--pending) return
+                setStrings.call(loc)
+                loc.resolving = false
+                var callbacks = loc.callbacks
+                loc.callbacks = []
+                for (var i in callbacks)
+                    callbacks[i](loc)
+            }
+            this.resolving = true
+
+            if (this.url && this.line != '?') {
+                pending++
+                SourceMap.load(this.url, function (map) {
+                    var pos = map && map.originalPositionFor(+loc.line, +loc.col)
+                    if (pos) {
+                        loc.source = pos.source
+                        loc.file = fileFromUrl(pos.source)
+                        loc.line = pos.line
+                        loc.col = pos.column
+                        if (!(loc.caller && loc.caller.name))
+                            loc.func = pos.func || loc.func
+                    }
+                    done()
+                })
+            }
+
+            for (var i in this.frames) {
+                var frame = this.frames[i]
+                if (!frame.url || !frame.line || frame.isEval) continue
+                pending++
+                SourceMap.load(frame.url, function (i, frame, map) {
+                    var pos = map && map.originalPositionFor(frame.line, frame.col)
+                    if (pos) {
+                        frame.func = pos.func || frame.func
+                        frame.url = pos.source
+                        frame.file = fileFromUrl(pos.source)
+                        frame.line = pos.line
+                        frame.col = pos.column
+                        loc.stack[i] = '    at ' + (frame.func || 'anonymous') +
+                            ' (' + pos.source + ':' + pos.line + ':' + pos.column + ')'
+                    }
+                    done()
+                }.bind(this, i, frame))
+            }
+            done()
+        }
+
+        function toString() {
+            return this.str
+        }
+
+        /**
+         * Returns the parsed frames of an error's stack.
+         * @param e {Error}
+         * @param [offset=0] {integer} - Additional frames to skip.
+         * @param [skipInternal=false] {bool} - Skip the frames of iDebugConsole at the top of the stack.
+         * @returns {LogLocation~Frame[]}
+         * @private
+         */
+        function getFrames(e, offset, skipInternal) {
+            var frames = parseStack(e.stack)
+            if (skipInternal) {
+                var range = internalRange()
+                var index = 0
+                if (range)
+                    while (index < frames.length && isInternal(frames[index], range))
+                        index++
+                else
+                    index = baseIndex
+                frames = frames.slice(index)
+            }
+            return frames.slice(offset || 0)
+        }
+
+        // Returns the location of iDebugConsole from the errors created at it's first and last line
+        function internalRange() {
+            if (internal !== undefined) return internal
+            var start = parseStack(moduleStart.stack)[0]
+            var end = parseStack(moduleEnd.stack)[0]
+            internal = start && end && start.url && start.url == end.url ? {url: start.url, start: start, end: end} : null
+            return internal
+        }
+
+        function isInternal(frame, range) {
+            if (frame.url != range.url) return false
+            var afterStart = frame.line > range.start.line || (frame.line == range.start.line && frame.col >= range.start.col)
+            var beforeEnd = frame.line < range.end.line || (frame.line == range.end.line && frame.col <= range.end.col)
+            return afterStart && beforeEnd
+        }
+
+        /**
+         * @typedef {object} LogLocation~Frame
+         * @property {string} func      - Function name, "" when anonymous.
+         * @property {string} file      - File name of the url.
+         * @property {string} url       - Script url without line and column.
+         * @property {integer} line
+         * @property {integer} col
+         * @property {bool} isNative    - Native code without a location.
+         * @property {bool} isEval      - Code evaluated with eval or Function, the location is where it was evaluated.
+         * @property {string} raw       - The unparsed frame.
+         */
+
+        /**
+         * Parses a stack trace of V8 (Chrome, Edge, node), Chakra (IE, Edge Legacy), SpiderMonkey (Firefox)
+         * or JavaScriptCore (Safari).  Lines which are not frames, such as the message, are skipped.
+         * @param stack {string}
+         * @returns {LogLocation~Frame[]}
+         * @memberof LogLocation
+         */
+        function parseStack(stack) {
+            var lines = String(stack || '').split('\n')
+            var isV8 = /^\s*at .*/m.test(stack)
+            var frames = []
+            for (var i in lines) {
+                var frame = isV8 ? parseV8Frame(lines[i]) : parseGeckoFrame(lines[i])
+                if (frame) frames.push(frame)
+            }
+            return frames
+        }
+
+        /**
+         * Parses one V8 stack frame.
+         * @example
+         * "    at Object.loadUser (http://site.com/js/app.js:10:5)"
+         * "    at http://site.com/js/app.js:10:5"
+         * "    at new Model (webpack:///./src/model.js?:12:9)"
+         * "    at async Promise.all (index 0)"
+         * "    at async fetchUser (blob:https://site.com/0f8e-42:3:11)"
+         * "    at Array.forEach (<anonymous>)"
+         * "    at eval (eval at render (http://site.com/app.js:5:3), <anonymous>:1:1)"
+         * "    at render [as draw] (file:///home/me/app.js:22:14)"
+         * "   at Anonymous function (http://site.com/app.js:50:3)"
+         * "   at Array.prototype.forEach (native code)"
+         * @param line {string}
+         * @returns {LogLocation~Frame|null}
+         * @private
+         */
+        function parseV8Frame(line) {
+            var match = line.match(/^\s*at (?:(.+?) \((.*)\)|(.*))$/)
+            if (!match) return null
+            var func = match[1] || ''
+            var location = match[1] ? match[2] : match[3]
+            var frame = newFrame(line)
+
+            // "eval at outer (url:line:col), <anonymous>:l:c" the location is where eval was called
+            var evalAt = location.match(/^eval at [^(]*\((.*?)\)(?:,|$)/)
+            if (evalAt) {
+                frame.isEval = true
+                location = evalAt[1]
+                // nested eval
+                while ((evalAt = location.match(/^eval at [^(]*\((.*?)\)(?:,|$)/)))
+                    location = evalAt[1]
+            }
+
+            frame.func = cleanFuncName(func.replace(/^async /, '').replace(/ \[as [^\]]+\]$/, ''))
+            // Chakra "at eval code (eval code:1:1)"
+            if (/^eval code(:|$)/.test(location)) {
+                frame.isEval = true
+                return frame
+            }
+            if (!location && match[3]) {
+                frame.func = cleanFuncName(match[3])
+                frame.isNative = true
+                return frame
+            }
+            setLocation(frame, location)
+            return frame
+        }
+
+        /**
+         * Parses one SpiderMonkey or JavaScriptCore stack frame.
+         * @example
+         * "loadUser@http://site.com/js/app.js:10:5"
+         * "@http://site.com/js/app.js:10:5"
+         * "async*fetchUser@http://site.com/js/app.js:3:11"
+         * "render/<@file:///home/me/app.js:22:14"
+         * "Model@webpack-internal:///./src/model.js:12:9"
+         * "evaluate@http://site.com/app.js line 5 > eval:1:1"
+         * "forEach@[native code]"
+         * "eval code@"
+         * "global code@http://site.com/index.html:40:12"
+         * "http://site.com/js/app.js:50:3"
+         * @param line {string}
+         * @returns {LogLocation~Frame|null}
+         * @private
+         */
+        function parseGeckoFrame(line) {
+            var match = line.match(/^\s*(.*?)@(.*)$/)
+            // anonymous functions of older JavaScriptCore have no "@"
+            if (!match && /^\s*[a-z][\w+.-]*:.*:\d+(:\d+)?\s*$/i.test(line))
+                match = ['', '', line.trim()]
+            if (!match) return null
+            var frame = newFrame(line)
+            var location = match[2]
+            frame.func = cleanFuncName(match[1].replace(/^async\*/, '').replace(/[/<]+$/, ''))
+
+            // "url line 5 > eval:1:1" the location is where eval was called
+            var evalAt = location.match(/^(.*?) line (\d+) > (?:eval|Function)/)
+            if (evalAt) {
+                frame.isEval = true
+                frame.url = evalAt[1]
+                frame.file = fileFromUrl(frame.url)
+                frame.line = +evalAt[2]
+                return frame
+            }
+            if (frame.func == 'eval code' || frame.func == 'eval')
+                frame.isEval = true
+
+            if (!location || location == '[native code]') {
+                frame.isNative = location == '[native code]'
+                return frame
+            }
+            setLocation(frame, location)
+            return frame
+        }
+
+        function newFrame(raw) {
+            return {func: '', file: '', url: '', line: undefined, col: undefined,
+                isNative: false, isEval: false, raw: raw.trim()}
+        }
+
+        // Sets url, file, line and col of a frame from "url:line:col"
+        function setLocation(frame, location) {
+            var pos = location.match(/^(.*?):(\d+)(?::(\d+))?$/)
+            if (pos) {
+                frame.url = pos[1]
+                frame.line = +pos[2]
+                frame.col = pos[3] ? +pos[3] : undefined
+            } else {
+                frame.isNative = location == 'native' || location == 'native code' || location == '<anonymous>' ||
+                    /^index \d+$/.test(location)
+                frame.url = frame.isNative ? '' : location
+            }
+            frame.file = fileFromUrl(frame.url)
+        }
+
+        function cleanFuncName(func) {
+            return func.replace(/^Object\./, '').replace(/^(<anonymous>|Anonymous function|Global code)$/, '').trim()
+        }
+
+        // Returns the file name of a url without query or hash
+        function fileFromUrl(url) {
+            return String(url || '').replace(/[?#].*$/, '').split('/').pop()
+        }
+
+        return {init: init, toString: toString, onResolve: onResolve, parseStack: parseStack}
+    }()
+    LogLocation.parseStack = LogLocation.prototype.parseStack
+
+    /**
+     * @memberof iDebugConsole
+     * @class A parsed source map (revision 3) including index maps with sections.  Use
+     * {@link SourceMap.load} to find, load and cache the map of a script.
+     * @param map {object} - The parsed source map JSON.
+     * @param url {string} - The url of the map, sources are relative to it.
+     * @constructor
+     * @private
+     */
+    var SourceMap = function (map, url) {
+        this.url = url
+        this.sections = []
+        this.lines = []
+        this.sources = []
+        this.names = map.names || []
+        this.sourcesContent = map.sourcesContent || []
+        this.sourceLines = [] // split sourcesContent, by source index
+
+        if (map.sections) {
+            for (var i in map.sections) {
+                var section = map.sections[i]
+                if (!section.map) continue // sections with a url are not supported
+                this.sections.push({
+                    line: section.offset.line,
+                    column: section.offset.column,
+                    map: new SourceMap(section.map, url)
+                })
+            }
+            return
+        }
+
+        var root = map.sourceRoot ? map.sourceRoot.replace(/\/?$/, '/') : ''
+        for (var i in map.sources)
+            this.sources.push(SourceMap.resolveUrl(root + map.sources[i], url))
+        this.lines = SourceMap.decodeMappings(map.mappings || '')
+    }
+
+    // Maps and scripts by url: {map:SourceMap|null, callbacks:[]}
+    SourceMap.cache = {}
+
+    var vlqChars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+
+    /**
+     * Decodes a base64 VLQ string to integers.
+     * @param str {string}
+     * @returns {integer[]}
+     */
+    SourceMap.decodeVLQ = function (str) {
+        var values = []
+        var value = 0, shift = 0
+        for (var i = 0; i < str.length; i++) {
+            var digit = vlqChars.indexOf(str[i])
+            if (digit < 0) throw ('iDebugError: Invalid VLQ character "' + str[i] + '".')
+            value += (digit & 31) << shift
+            if (digit & 32)
+                shift += 5
+            else {
+                values.push(value & 1 ? -(value >>> 1) : value >>> 1)
+                value = shift = 0
+            }
+        }
+        return values
+    }
+
+    /**
+     * Decodes the mappings of a source map.
+     * @param mappings {string}
+     * @returns {Array.<Array.<integer[]>>} Segments [generatedColumn, source, line, column, name] of
+     * each generated line sorted by column, all zero based.  Unmapped segments are [generatedColumn].
+     */
+    SourceMap.decodeMappings = function (mappings) {
+        var lines = []
+        var source = 0, line = 0, column = 0, name = 0
+        var genLines = mappings.split(';')
+        for (var l in genLines) {
+            var segments = []
+            var genColumn = 0
+            var genSegments = genLines[l].split(',')
+            for (var s in genSegments) {
+                if (!genSegments[s]) continue
+                var v = SourceMap.decodeVLQ(genSegments[s])
+                genColumn += v[0]
+                // an unmapped segment ends the mapping of the previous segment
+                if (v.length < 4) {
+                    segments.push([genColumn])
+                    continue
+                }
+                source += v[1]
+                line += v[2]
+                column += v[3]
+                var segment = [genColumn, source, line, column]
+                if (v.length > 4) {
+                    name += v[4]
+                    segment.push(name)
+                }
+                segments.push(segment)
+            }
+            segments.sort(function (a, b) {return a[0] - b[0]})
+            lines.push(segments)
+        }
+        return lines
+    }
+
+    SourceMap.resolveUrl = function (url, base) {
+        try {
+            return new URL(url, base).href
+        } catch (e) {
+            return url
+        }
+    }
+
+    /**
+     * Removes the line and column of a stack frame url.
+     * @param url {string} - "http://host/file.js:10:5"
+     * @returns {string} "http://host/file.js"
+     */
+    SourceMap.scriptUrl = function (url) {
+        return url.replace(/(:\d+){1,2}$/, '')
+    }
+
+    /**
+     * Loads, parses and caches the source map of a script.  The script is loaded to find it's
+     * sourceMappingURL comment which may be a data uri or the url of a map.
+     * @param scriptUrl {string}
+     * @param callback {function} - Called with the SourceMap or null, immediately when cached.
+     */
+    SourceMap.load = function (scriptUrl, callback) {
+        var cached = SourceMap.cache[scriptUrl]
+        if (cached && !cached.callbacks) return callback(cached.map)
+        if (cached) return cached.callbacks.push(callback)
+
+        cached = SourceMap.cache[scriptUrl] = {map: null, callbacks: [callback]}
+        var done = function (map) {
+            var callbacks = cached.callbacks
+            cached.map = map
+            cached.callbacks = null
+            for (var i in callbacks)
+                callbacks[i](map)
+        }
+
+        if (!/^(https?|file):/.test(scriptUrl)) return done(null)
+
+        getText(scriptUrl, function (src) {
+            var match = src && src.match(/\/\/[#@]\s*sourceMappingURL=(\S+)\s*$/)
+            if (!match) return done(null)
+            var mapUrl = match[1]
+
+            var data = mapUrl.match(/^data:[^,]*?(;base64)?,(.*)$/)
+            if (data) {
+                try {
+                    var json = data[1] ? decodeURIComponent(escape(atob(data[2]))) : decodeURIComponent(data[2])
+                    return done(new SourceMap(JSON.parse(json), scriptUrl))
+                } catch (e) {
+                    return done(null)
+                }
+            }
+
+            mapUrl = SourceMap.resolveUrl(mapUrl, scriptUrl)
+            getText(mapUrl, function (json) {
+                try {
+                    done(json ? new SourceMap(JSON.parse(json.replace(/^\)\]\}'[^\n]*\n/, '')), mapUrl) : null)
+                } catch (e) {
+                    done(null)
+                }
+            })
+        })
+    }
+
+    // Loads the text of a url, calls back with null when it fails
+    function getText(url, callback) {
+        var xhr = new XMLHttpRequest()
+        xhr.open('GET', url, true)
+        xhr.onload = function () {callback(xhr.status < 400 ? xhr.responseText : null)}
+        xhr.onerror = function () {callback(null)}
+        try {
+            xhr.send()
+        } catch (e) {
+            callback(null)
+        }
+    }
+
+    SourceMap.prototype = function () {
+
+        /**
+         * Returns the original position of a generated position.
+         * @param line {integer} - One based generated line.
+         * @param column {integer} - One based generated column.
+         * @returns {{source:string, line:integer, column:integer, name:string, func:string}|null} One
+         * based original position, name of the mapped token and name of the function, the mapped
+         * name or else the function enclosing the original line in the sources content.
+         * @memberof SourceMap
+         */
+        function originalPositionFor(line, column) {
+            if (this.sections.length) {
+                var section = null
+                for (var i in this.sections) {
+                    var s = this.sections[i]
+                    if (s.line < line - 1 || (s.line == line - 1 && s.column <= column - 1))
+                        section = s
+                }
+                if (!section) return null
+                return originalPositionFor.call(section.map, line - section.line,
+                    line - 1 == section.line ? column - section.column : column)
+            }
+
+            var segments = this.lines[line - 1]
+            if (!segments || !segments.length) return null
+
+            // last segment starting at or before the column
+            var lo = 0, hi = segments.length - 1, found = -1
+            while (lo <= hi) {
+                var mid = (lo + hi) >> 1
+                if (segments[mid][0] <= column - 1) {
+                    found = mid
+                    lo = mid + 1
+                } else
+                    hi = mid - 1
+            }
+            if (found < 0 || segments[found].length < 4) return null
+
+            var seg = segments[found]
+            var name = seg.length > 4 ? this.names[seg[4]] : undefined
+            return {
+                source: this.sources[seg[1]],
+                line: seg[2] + 1,
+                column: seg[3] + 1,
+                name: name,
+                func: name || enclosingFunction.call(this, seg[1], seg[2])
+            }
+        }
+
+        // Finds the name of the function enclosing an original line in the sources content
+        function enclosingFunction(source, line) {
+            var content = this.sourcesContent[source]
+            if (!content) return undefined
+            var lines = this.sourceLines[source] || (this.sourceLines[source] = content.split('\n'))
+            var re = [
+                /function\*?\s+([\w$]+)\s*\(/,
+                /([\w$]+)\s*[:=]\s*(?:async\s+)?function\b/,
+                /([\w$]+)\s*[:=]\s*(?:async\s+)?(?:\([^)]*\)|[\w$]+)\s*=>/,
+                /^\s*(?:async\s+|static\s+|get\s+|set\s+)*([\w$]+)\s*\([^)]*\)\s*\{/
+            ]
+            for (var l = line; l >= 0 && l > line - 250; l--) {
+                for (var r in re) {
+                    var match = lines[l] && lines[l].match(re[r])
+                    if (match && !/^(if|for|while|switch|catch|function|return)$/.test(match[1]))
+                        return match[1]
+                }
+            }
+            return undefined
+        }
+
+        return {originalPositionFor: originalPositionFor}
+    }()
+
+    /**
+     * Applies the format specifiers of the first argument as specified by the WHATWG Console Standard.
+     * - %s string, %d and %i integer, %f float with an optional precision such as %.2f
+     * - %o and %O object, returned as an object token to be shown by the output
+     * - %c css applied to the following text and %% a literal percent sign
+     *
+     * Specifiers without a remaining argument are output as is.
+     * @param args {Array|arguments}
+     * @returns {{tokens:Array.<{text:string, format:bool}|{object:*}|{style:string}>, rest:Array}} The
+     * formatted tokens and the args not used by the format string.
+     * @memberof iDebugConsole
+     * @private
+     */
+    function formatSpecifiers(args) {
+        args = Array.prototype.slice.call(args, 0)
+        var tokens = []
+        if (typeof args[0] != 'string')
+            return {tokens: tokens, rest: args}
+
+        var str = args.shift()
+        var re = /%(?:\.(\d+))?([sdifoOc%])/g
+        var last = 0, match
+
+        // format is true for text of the format string itself
+        var text = function (text, format) {
+            if (text) tokens.push({text: text, format: !!format})
+        }
+
+        while ((match = re.exec(str))) {
+            text(str.slice(last, match.index), true)
+            last = re.lastIndex
+            var spec = match[2]
+            if (spec == '%') {
+                text('%', true)
+                continue
+            }
+            if (!args.length) {
+                text(match[0], true)
+                continue
+            }
+            var arg = args.shift()
+            if (spec == 's')
+                text(typeof arg == 'string' ? arg : ObjectInspector.preview(arg, typeof arg == 'object'))
+            else if (spec == 'd' || spec == 'i')
+                text(typeof arg == 'symbol' ? 'NaN' : String(parseInt(arg, 10)))
+            else if (spec == 'f') {
+                var num = typeof arg == 'symbol' ? NaN : parseFloat(arg)
+                text(match[1] !== undefined && isFinite(num) ? num.toFixed(Math.min(+match[1], 20)) : String(num))
+            }
+            else if (spec == 'c')
+                tokens.push({style: String(arg)})
+            else
+                tokens.push({object: arg})
+        }
+        text(str.slice(last), true)
+        return {tokens: tokens, rest: args}
+    }
+
+    /**
+     * Applies the format specifiers of the first argument as plain text, objects formatted with
+     * %o or %O are previewed and css is removed.
+     * @param args {Array|arguments}
+     * @returns {{text:string, rest:Array}} The formatted text and the args not used by the format string.
+     * @memberof iDebugConsole
+     * @private
+     */
+    function formatToText(args) {
+        var formatted = formatSpecifiers(args)
+        var text = ''
+        for (var i in formatted.tokens) {
+            var token = formatted.tokens[i]
+            if (token.text !== undefined) text += token.text
+            else if (token.object !== undefined)
+                text += ObjectInspector.preview(token.object, !ObjectInspector.isObject(token.object))
+        }
+        return {text: text, rest: formatted.rest}
+    }
+
+    /**
+     * @memberof iDebugConsole
+     * @class A lazy tree view of a logged object.  Each level is rendered when it is first expanded,
+     * getters are only invoked when clicked and references to an object being expanded are shown
+     * as circular.  Own properties are listed followed by the [[Entries]] of maps and sets and
+     * the [[Prototype]].
+     * @param value {object} - The object to inspect.
+     * @constructor
+     * @private
+     */
+    var ObjectInspector = function (value) {
+        this.value = value
+        this.id = 'msg-object-' + ObjectInspector.nextId++
+        this.element = createEle("ul.inspector.hide")
+        this.element.id = this.id
+        this.element.inspector = this
+        this.rendered = false
+    }
+    ObjectInspector.nextId = 1
+
+    // Maximum entries rendered before a "more" entry
+    ObjectInspector.maxEntries = 100
+
+    /**
+     * Determines if a value can be expanded.
+     * @param value {*}
+     * @returns {boolean}
+     */
+    ObjectInspector.isObject = function (value) {
+        return value !== null && (typeof value == 'object' || typeof value == 'function')
+    }
+
+    /**
+     * Returns a short type aware description of a value.
+     * @param value {*}
+     * @param [nested=false] {bool} - The value is shown inside another preview, strings are quoted
+     *                                and objects are not expanded.
+     * @returns {string}
+     */
+    ObjectInspector.preview = function (value, nested) {
+        var type = typeof value
+        if (type == 'string')
+            return nested ? JSON.stringify(value.length > 100 ? value.slice(0, 100) + '…' : value) : value
+        if (type == 'symbol' || type == 'bigint')
+            return value.toString() + (type == 'bigint' ? 'n' : '')
+        if (!ObjectInspector.isObject(value))
+            return String(value)
+        if (type == 'function')
+            return functionSignature(value)
+
+        var tag = Object.prototype.toString.call(value).slice(8, -1)
+        var name = constructorName(value) || tag
+        try {
+            if (Object.prototype.hasOwnProperty.call(value, 'constructor') &&
+                typeof value.constructor == 'function' && value.constructor.prototype === value)
+                return value.constructor.name + '.prototype'
+            if (value.nodeType)
+                return nodePreview(value)
+            if (tag == 'Date')
+                return isNaN(value) ? 'Invalid Date' : value.toISOString()
+            if (tag == 'RegExp')
+                return String(value)
+            if (tag == 'Error' || value instanceof Error)
+                return value.name + ': ' + value.message
+            if (nested)
+                return Array.isArray(value) ? name + '(' + value.length + ')' :
+                    (tag == 'Map' || tag == 'Set') ? name + '(' + value.size + ')' :
+                    name == 'Object' ? '{…}' : name
+
+            var items = []
+            if (Array.isArray(value)) {
+                for (var i = 0; i < value.length && i < 5; i++)
+                    items.push(ObjectInspector.preview(value[i], true))
+                if (value.length > 5) items.push('…')
+                return name + '(' + value.length + ') [' + items.join(', ') + ']'
+            }
+            if (tag == 'Map' || tag == 'Set') {
+                value.forEach(function (v, k) {
+                    if (items.length == 5) items.push('…')
+                    if (items.length > 5) return
+                    items.push(tag == 'Map' ?
+                        ObjectInspector.preview(k, true) + ' => ' + ObjectInspector.preview(v, true) :
+                        ObjectInspector.preview(v, true))
+                })
+                return name + '(' + value.size + ') {' + items.join(', ') + '}'
+            }
+            var keys = Object.keys(value)
+            for (var i = 0; i < keys.length && i < 5; i++) {
+                var desc = Object.getOwnPropertyDescriptor(value, keys[i])
+                items.push(keys[i] + ': ' + (desc.get ? '(...)' : ObjectInspector.preview(desc.value, true)))
+            }
+            if (keys.length > 5) items.push('…')
+            return (name == 'Object' ? '' : name + ' ') + '{' + items.join(', ') + '}'
+        } catch (e) {
+            // proxies and host objects may throw
+            return name
+        }
+    }
+
+    // Returns "ƒ name(a, b)", "class Name" or "async ƒ name()"
+    function functionSignature(fn) {
+        var src = ''
+        try {
+            src = Function.prototype.toString.call(fn)
+        } catch (e) {
+            // not a real function
+        }
+        if (/^class\b/.test(src))
+            return 'class ' + (fn.name || '')
+        var params = src.match(/^[^(=]*\(([^)]*)\)/) || src.match(/^(?:async\s+)?([\w$]+)\s*=>/)
+        return (/^async\b/.test(src) ? 'async ' : '') + 'ƒ ' + (fn.name || '') +
+            '(' + (params ? params[1].replace(/\s+/g, ' ').trim() : '') + ')'
+    }
+
+    function constructorName(value) {
+        try {
+            var proto = Object.getPrototypeOf(value)
+            if (proto === null) return 'Object'
+            return proto.constructor && proto.constructor.name || ''
+        } catch (e) {
+            return ''
+        }
+    }
+
+    // Returns "<div#id.class>" for elements and the node name for other nodes
+    function nodePreview(node) {
+        if (node.nodeType != 1)
+            return node.nodeName + (node.nodeValue ? ' ' + JSON.stringify(node.nodeValue.slice(0, 50)) : '')
+        var str = '<' + node.nodeName.toLowerCase()
+        if (node.id) str += '#' + node.id
+        if (typeof node.className == 'string' && node.className.trim())
+            str += '.' + node.className.trim().split(/\s+/).join('.')
+        return str + '>'
+    }
+
+    ObjectInspector.prototype = function () {
+
+        /**
+         * Shows or hides the tree, the first level is rendered when first shown.
+         * @memberof ObjectInspector
+         */
+        function toggle() {
+            if (!this.rendered) {
+                this.element.receiver = this.value
+                renderEntries(this.element, this.value, this.value, [this.value])
+                this.rendered = true
+            }
+            toggleClass(this.element, 'hide')
+        }
+
+        // Lists the entries of an object, the receiver is used to invoke getters of prototypes
+        function renderEntries(ul, obj, receiver, ancestors) {
+            var entries = []
+            var names = []
+            try {
+                names = Object.getOwnPropertyNames(obj)
+                if (Object.getOwnPropertySymbols)
+                    names = names.concat(Object.getOwnPropertySymbols(obj))
+            } catch (e) {
+                // host objects may throw
+            }
+            for (var i in names) {
+                var desc
+                try {
+                    desc = Object.getOwnPropertyDescriptor(obj, names[i])
+                } catch (e) {
+                    continue
+                }
+                if (!desc) continue
+                entries.push({key: String(names[i]), desc: desc, enumerable: desc.enumerable})
+            }
+
+            var tag = Object.prototype.toString.call(obj).slice(8, -1)
+            if ((tag == 'Map' || tag == 'Set') && obj === receiver) {
+                var items = []
+                obj.forEach(function (v, k) {
+                    items.push(tag == 'Map' ? {key: k, value: v} : v)
+                })
+                entries.push({key: '[[Entries]]', desc: {value: items}, internal: true})
+            }
+
+            var proto = Object.getPrototypeOf(obj)
+            if (proto)
+                entries.push({key: '[[Prototype]]', desc: {value: proto}, internal: true, proto: true})
+
+            renderRange(ul, entries, 0, receiver, ancestors)
+        }
+
+        // Renders entries from start, remaining entries are rendered when "more" is clicked
+        function renderRange(ul, entries, start, receiver, ancestors) {
+            var end = Math.min(entries.length, start + ObjectInspector.maxEntries)
+            for (var i = start; i < end; i++)
+                renderEntry(ul, entries[i], receiver, ancestors)
+            if (end < entries.length) {
+                var more = createEle("li.more", ul, '… ' + (entries.length - end) + ' more')
+                more.onclick = function (e) {
+                    e.stopPropagation()
+                    ul.removeChild(more)
+                    renderRange(ul, entries, end, receiver, ancestors)
+                }
+            }
+        }
+
+        function renderEntry(ul, entry, receiver, ancestors) {
+            var li = createEle("li", ul)
+            var eKey = createEle("span.key", li, escapeHtml(entry.key))
+            if (entry.internal || entry.enumerable === false) addClass(eKey, 'dim')
+            createEle("span", li, ': ')
+
+            // getters are invoked on demand
+            if (entry.desc.get && !('value' in entry.desc)) {
+                var eGet = createEle("span.value.getter", li, '(...)')
+                eGet.title = 'Invoke property getter'
+                eGet.onclick = function (e) {
+                    e.stopPropagation()
+                    var value
+                    try {
+                        value = entry.desc.get.call(receiver)
+                    } catch (error) {
+                        value = error
+                    }
+                    li.removeChild(eGet)
+                    renderValue(li, value, ancestors, false)
+                }
+                return
+            }
+            renderValue(li, entry.desc.value, ancestors, entry.proto)
+        }
+
+        function renderValue(li, value, ancestors, isProto) {
+            var type = value === null ? 'null' : typeof value
+            var eValue = createEle("span.value.type-" + type, li,
+                escapeHtml(ObjectInspector.preview(value, true)))
+            if (!ObjectInspector.isObject(value)) return
+
+            if (!isProto && ancestors.indexOf(value) > -1) {
+                eValue.innerHTML += ' [Circular]'
+                addClass(eValue, 'circular')
+                return
+            }
+
+            addClass(li, 'expandable')
+            var eChild = null
+            li.onclick = function (e) {
+                e.stopPropagation()
+                if (!eChild) {
+                    eChild = createEle("ul.inspector", li)
+                    var receiver = isProto ? li.parentNode.receiver : value
+                    renderEntries(eChild, value, receiver, ancestors.concat([value]))
+                    eChild.receiver = receiver
+                    addClass(li, 'open')
+                    return
+                }
+                toggleClass(li, 'open')
+                toggleClass(eChild, 'hide')
+            }
+        }
+
+        return {toggle: toggle}
+    }()
+
+    /**
+     * @memberof iDebugConsole
+     * @class A sortable html table of the data logged with console.table.  Rows are the entries of
+     * arrays, maps, sets and objects and columns are the properties of the entries.  Entries which
+     * are not objects are shown in the column "Value".  Clicking a column header sorts the rows.
+     * @param data {object} - Array, array of arrays, array of objects or object map.
+     * @param [columns] {string[]} - Only show these columns.
+     * @constructor
+     * @private
+     */
+    var TableView = function (data, columns) {
+        this.rows = TableView.rows(data)
+        this.columns = TableView.columns(this.rows, columns)
+        this.sortColumn = null
+        this.ascending = true
+        this.element = createEle("table.data-table")
+        this.element.table = this
+        this.element.addEventListener('click', function (e) {
+            var column = e.target.getAttribute('data-column')
+            if (column !== null) this.sort(column)
+        }.bind(this))
+        this.render()
+    }
+
+    // Maximum rows rendered
+    TableView.maxRows = 1000
+
+    // Column of entries which are not objects
+    TableView.valueColumn = 'Value'
+
+    /**
+     * Returns the rows of table data: [{index:string, values:object}]
+     * @param data {object}
+     * @returns {Array}
+     */
+    TableView.rows = function (data) {
+        var entries = []
+        var tag = Object.prototype.toString.call(data).slice(8, -1)
+        if (tag == 'Map')
+            data.forEach(function (v, k) {entries.push([typeof k == 'string' ? k : ObjectInspector.preview(k, true), v])})
+        else if (tag == 'Set') {
+            var i = 0
+            data.forEach(function (v) {entries.push([String(i++), v])})
+        }
+        else
+            for (var key in data)
+                if (Object.prototype.hasOwnProperty.call(data, key))
+                    entries.push([key, data[key]])
+
+        var rows = []
+        for (var e = 0; e < entries.length && e < TableView.maxRows; e++) {
+            var value = entries[e][1], values = {}
+            if (ObjectInspector.isObject(value) && typeof value != 'function')
+                for (var prop in value) {
+                    if (Object.prototype.hasOwnProperty.call(value, prop))
+                        values[prop] = value[prop]
+                }
+            else
+                values[TableView.valueColumn] = value
+            rows.push({index: entries[e][0], values: values})
+        }
+        return rows
+    }
+
+    /**
+     * Returns the columns of the rows in order of appearance, the value column last.
+     * @param rows {Array}
+     * @param [filter] {string[]} - Only these columns.
+     * @returns {string[]}
+     */
+    TableView.columns = function (rows, filter) {
+        if (filter !== undefined && filter !== null)
+            return Array.prototype.slice.call(typeof filter == 'object' ? filter : [filter], 0).map(String)
+        var columns = [], hasValue = false
+        for (var r in rows)
+            for (var column in rows[r].values) {
+                if (column == TableView.valueColumn) hasValue = true
+                else if (columns.indexOf(column) < 0) columns.push(column)
+            }
+        if (hasValue) columns.push(TableView.valueColumn)
+        return columns
+    }
+
+    TableView.prototype = function () {
+
+        /**
+         * Renders the table in the current sort order.
+         * @memberof TableView
+         */
+        function render() {
+            var html = '<thead><tr><th data-column="">(index)</th>'
+            for (var c in this.columns)
+                html += '<th data-column="%s">%s</th>'.format(escapeHtml(this.columns[c]), escapeHtml(this.columns[c]))
+            html += '</tr></thead><tbody>'
+            for (var r in this.rows) {
+                var row = this.rows[r]
+                html += '<tr><td class="index">' + escapeHtml(row.index) + '</td>'
+                for (var i in this.columns) {
+                    var has = Object.prototype.hasOwnProperty.call(row.values, this.columns[i])
+                    var value = row.values[this.columns[i]]
+                    html += '<td class="type-%s">%s</td>'.format(has ? cellType(value) : 'empty',
+                        has ? escapeHtml(ObjectInspector.preview(value, true)) : '')
+                }
+                html += '</tr>'
+            }
+            this.element.innerHTML = html + '</tbody>'
+
+            var headers = this.element.getElementsByTagName('th')
+            for (var h = 0; h < headers.length; h++)
+                if (headers[h].getAttribute('data-column') === this.sortColumn)
+                    addClass(headers[h], this.ascending ? 'sort-asc' : 'sort-desc')
+        }
+
+        /**
+         * Sorts the rows by a column, sorting by the same column again reverses the order.
+         * @param column {string} - Column name, "" for the index.
+         * @memberof TableView
+         */
+        function sort(column) {
+            this.ascending = this.sortColumn === column ? !this.ascending : true
+            this.sortColumn = column
+            var direction = this.ascending ? 1 : -1
+            this.rows.sort(function (a, b) {
+                var va = column ? a.values[column] : a.index
+                var vb = column ? b.values[column] : b.index
+                // missing values are always last
+                if (va === undefined || vb === undefined)
+                    return va === vb ? 0 : va === undefined ? 1 : -1
+                return compare(va, vb) * direction
+            })
+            this.render()
+        }
+
+        // Orders numbers numerically, other values by their preview
+        function compare(a, b) {
+            if (a === b) return 0
+            var na = Number(a), nb = Number(b)
+            if (typeof a != 'object' && typeof b != 'object' && a !== '' && b !== '' && !isNaN(na) && !isNaN(nb))
+                return na - nb
+            var sa = ObjectInspector.preview(a, true), sb = ObjectInspector.preview(b, true)
+            return sa < sb ? -1 : sa > sb ? 1 : 0
+        }
+
+        function cellType(value) {
+            return value === null ? 'null' : typeof value
+        }
+
+        return {render: render, sort: sort}
+    }()
+
+    /**
+     * @memberof iDebugConsole
+     * @class An icicle chart of profiler spans.  Each row is a level of nesting, the width of a
+     * span is it's share of the total time and it's title shows the total and self time.
+     * @param spans {Array} - Root spans of a {@link Profiler}.
+     * @constructor
+     * @private
+     */
+    var FlameChart = function (spans) {
+        this.spans = spans
+    }
+
+    // Height of a row in px
+    FlameChart.rowHeight = 17
+
+    FlameChart.prototype = function () {
+
+        /**
+         * Returns the chart element of the ended spans.
+         * @returns {Element}
+         * @memberof FlameChart
+         */
+        function render() {
+            var element = createEle("div.flame-chart")
+            var spans = ended(this.spans)
+            if (!spans.length) return element
+            var start = spans[0].start
+            var end = spans[spans.length - 1].end
+            var range = end - start || 1
+            var depth = 0
+
+            var draw = function (spans) {
+                for (var i in spans) {
+                    var span = spans[i]
+                    var eSpan = createEle("div.flame-span", element, escapeHtml(span.name))
+                    eSpan.style.left = (span.start - start) / range * 100 + '%'
+                    eSpan.style.width = span.total / range * 100 + '%'
+                    eSpan.style.top = span.depth * FlameChart.rowHeight + 'px'
+                    eSpan.style.backgroundColor = 'hsl(' + hue(span.name) + ', 75%, 60%)'
+                    eSpan.title = '%s: total %s ms, self %s ms'.format(span.name, span.total.toFixed(2), span.self.toFixed(2))
+                    depth = Math.max(depth, span.depth)
+                    draw(ended(span.children))
+                }
+            }
+            draw(spans)
+            element.style.height = (depth + 1) * FlameChart.rowHeight + 'px'
+            return element
+        }
+
+        // Spans which are not running
+        function ended(spans) {
+            return spans.filter(function (span) {return span.end !== null})
+        }
+
+        // Warm colors, the same for spans of the same name
+        function hue(name) {
+            name = String(name)
+            var hash = 0
+            for (var i = 0; i < name.length; i++)
+                hash = (hash * 31 + name.charCodeAt(i)) % 1000
+            return hash % 60
+        }
+
+        return {render: render}
+    }()
+
+    /**
+     * @memberof iDebugConsole
+     * @class A fixed size buffer which overwrites the oldest item when full.
+     * @param limit {integer} - Maximum number of items.
+     * @constructor
+     * @private
+     */
+    var LogBuffer = function (limit) {
+        this.limit = limit
+        this.items = []
+        this.start = 0
+    }
+    LogBuffer.prototype = function () {
+
+        function push(item) {
+            if (this.items.length < this.limit)
+                this.items.push(item)
+            else if (this.limit > 0) {
+                this.items[this.start] = item
+                this.start = (this.start + 1) % this.limit
+            }
+        }
+
+        // returns all items oldest first
+        function toArray() {
+            return this.items.slice(this.start).concat(this.items.slice(0, this.start))
+        }
+
+        function clear() {
+            this.items = []
+            this.start = 0
+        }
+
+        function resize(limit) {
+            this.items = limit > 0 ? toArray.call(this).slice(-limit) : []
+            this.start = 0
+            this.limit = limit
+        }
+
+        return {push: push, toArray: toArray, clear: clear, resize: resize}
+    }()
+
+    /**
+     * @memberof iDebugConsole
+     * @class Stores the log history of the view in sessionStorage, which survives reloads and navigations
+     * of the tab, or in IndexedDB, which also survives closing the tab.
+     * @param key {string} - Storage key.
+     * @param [storage="session"] {string} - "session" or "indexedDB".
+     * @constructor
+     * @private
+     */
+    var HistoryStore = function (key, storage) {
+        this.key = key
+        this.storage = storage == 'indexedDB' && window.indexedDB ? 'indexedDB' : 'session'
+        this.db = null
+    }
+    HistoryStore.dbName = 'iDebugConsole'
+    HistoryStore.storeName = 'history'
+
+    HistoryStore.prototype = function () {
+
+        /**
+         * Loads the stored entries.
+         * @param callback {function} - Called with the entries, [] when none are stored.
+         * @memberof HistoryStore
+         */
+        function load(callback) {
+            var key = this.key
+            if (this.storage == 'session') {
+                var entries
+                try {
+                    entries = JSON.parse(window.sessionStorage.getItem(key))
+                } catch (e) {
+                    // storage is not available or the history is invalid
+                }
+                return callback(Array.isArray(entries) ? entries : [])
+            }
+            transaction.call(this, 'readonly', function (store) {
+                var request = store.get(key)
+                request.onsuccess = function () {callback(Array.isArray(request.result) ? request.result : [])}
+                request.onerror = function () {callback([])}
+            }, function () {callback([])})
+        }
+
+        /**
+         * Replaces the stored entries.
+         * @param str {string} - The entries as JSON.
+         * @memberof HistoryStore
+         */
+        function save(str) {
+            var key = this.key
+            if (this.storage == 'session') {
+                try {
+                    window.sessionStorage.setItem(key, str)
+                } catch (e) {
+                    // storage is not available or full
+                }
+                return
+            }
+            transaction.call(this, 'readwrite', function (store) {
+                store.put(JSON.parse(str), key)
+            })
+        }
+
+        /**
+         * Removes the stored entries.
+         * @memberof HistoryStore
+         */
+        function clear() {
+            var key = this.key
+            if (this.storage == 'session') {
+                try {
+                    window.sessionStorage.removeItem(key)
+                } catch (e) {
+                    // storage is not available
+                }
+                return
+            }
+            transaction.call(this, 'readwrite', function (store) {
+                store['delete'](key)
+            })
+        }
+
+        // Opens the database once and runs a transaction on the history store
+        function transaction(mode, callback, error) {
+            var self = this
+            error = error || function () {}
+            if (this.db) return run(this.db)
+            try {
+                var request = window.indexedDB.open(HistoryStore.dbName, 1)
+                request.onupgradeneeded = function () {
+                    request.result.createObjectStore(HistoryStore.storeName)
+                }
+                request.onsuccess = function () {
+                    self.db = request.result
+                    run(self.db)
+                }
+                request.onerror = error
+            } catch (e) {
+                error(e)
+            }
+
+            function run(db) {
+                try {
+                    callback(db.transaction(HistoryStore.storeName, mode).objectStore(HistoryStore.storeName))
+                } catch (e) {
+                    error(e)
+                }
+            }
+        }
+
+        return {load: load, save: save, clear: clear}
+    }()
+
+    /**
+     * @memberof iDebugConsole
+     * @class Base class of the transports forwarding log records to a collector.  Records are
+     * queued and delivered in batches, failed batches are retried with an exponential backoff and
+     * the queue is flushed when the page is hidden.  Subclasses implement deliver(batch, final, done).
+     * @param options {object}
+     * @param options.level {string} ["trace"]      - Only forward records of this level or higher.
+     * @param options.batchSize {integer} [20]      - Deliver when this many records are queued.
+     * @param options.interval {integer} [1000]     - Deliver queued records after this many ms.
+     * @param options.retries {integer} [5]         - Retries before a failed batch is dropped.
+     * @param options.backoff {integer} [1000]      - Delay of the first retry in ms, doubled for each retry.
+     * @param options.maxQueue {integer} [1000]     - Drop the oldest records when more are queued.
+     * @constructor
+     */
+    var Transport = function (options) {
+        this.init(options)
+    }
+    Transport.prototype = function () {
+
+        function init(options) {
+            options = options || {}
+            this.options = options
+            this.level = options.level || 'trace'
+            this.batchSize = options.batchSize || 20
+            this.interval = options.interval !== undefined ? options.interval : 1000
+            this.retries = options.retries !== undefined ? options.retries : 5
+            this.backoff = options.backoff || 1000
+            this.maxQueue = options.maxQueue || 1000
+            this.queue = []
+            this.failures = 0
+            this.sending = false
+            this.timer = null
+            this.unresolved = 0 // queued entries waiting for their source maps
+
+            // flush when the page is unloaded or hidden
+            var flushFinal = flush.bind(this, true)
+            this.listeners = {
+                pagehide: flushFinal,
+                visibilitychange: function () {
+                    if (document.visibilityState == 'hidden') flushFinal()
+                }
+            }
+            window.addEventListener('pagehide', this.listeners.pagehide)
+            document.addEventListener('visibilitychange', this.listeners.visibilitychange)
+        }
+
+        /**
+         * Stops flushing when the page is hidden, a delivery in progress is completed.  Called by
+         * {@link Debugger.removeTransport} after flushing.
+         * @memberof Transport
+         */
+        function close() {
+            if (!this.listeners) return
+            window.removeEventListener('pagehide', this.listeners.pagehide)
+            document.removeEventListener('visibilitychange', this.listeners.visibilitychange)
+            this.listeners = null
+        }
+
+        /**
+         * Queues a record for delivery.
+         * @param record {object} - See {@link Debugger.records}.
+         * @memberof Transport
+         */
+        function send(record) {
+            var levels = Debugger.prototype.levels
+            var severity = levels[record.level] !== undefined ? levels[record.level] : levels.log
+            if (severity < levels[this.level]) return
+
+            var entry = DebuggerView.prototype.exportEntry(record)
+            this.queue.push(entry)
+            if (this.queue.length > this.maxQueue)
+                this.queue.splice(0, this.queue.length - this.maxQueue)
+
+            // the entry is exported again when it's source maps are loaded
+            if (record.loc && record.loc.resolving) {
+                this.unresolved++
+                record.loc.onResolve(function () {
+                    var index = this.queue.indexOf(entry)
+                    if (index >= 0)
+                        this.queue[index] = DebuggerView.prototype.exportEntry(record)
+                    this.unresolved--
+                    queued.call(this)
+                }.bind(this))
+            }
+            queued.call(this)
+        }
+
+        // Flushes full batches, schedules delivery of the rest
+        function queued() {
+            if (this.queue.length >= this.batchSize)
+                flush.call(this)
+            else
+                schedule.call(this, this.interval)
+        }
+
+        /**
+         * Delivers queued records now, after the source maps of their locations are loaded
+         * unless the page is being unloaded.
+         * @param [final=false] {bool} - The page is being unloaded, deliver all records at once.
+         * @memberof Transport
+         */
+        function flush(final) {
+            clearTimeout(this.timer)
+            this.timer = null
+            if (!this.queue.length || ((this.sending || this.unresolved) && !final)) return
+
+            var batch = this.queue.splice(0, final ? this.queue.length : this.batchSize)
+            var delivered = false
+            this.sending = true
+            var done = function (error) {
+                if (delivered) return
+                delivered = true
+                this.sending = false
+                if (error) {
+                    if (this.failures++ < this.retries) {
+                        this.queue = batch.concat(this.queue)
+                        schedule.call(this, this.backoff * Math.pow(2, this.failures - 1))
+                    }
+                    else
+                        this.failures = 0 // drop the batch
+                    return
+                }
+                this.failures = 0
+                if (this.queue.length)
+                    schedule.call(this, this.queue.length >= this.batchSize ? 0 : this.interval)
+            }.bind(this)
+
+            // a throwing transport must not break logging or unloading the page
+            try {
+                this.deliver(batch, !!final, done)
+            } catch (e) {
+                done(e)
+            }
+        }
+
+        function schedule(delay) {
+            if (this.timer) return
+            this.timer = setTimeout(flush.bind(this), delay)
+        }
+
+        /**
+         * Delivers a batch of export entries, see {@link DebuggerView.exportLogs}.
+         * @param batch {object[]}
+         * @param final {bool} - The page is being unloaded.
+         * @param done {function} - Call with an error when delivery failed.
+         * @memberof Transport
+         * @abstract
+         */
+        function deliver(batch, final, done) {
+            throw ('iDebugError: Transport.deliver must be implemented.')
+        }
+
+        /**
+         * Serializes a batch as a JSON array or newline delimited JSON.
+         * @param batch {object[]}
+         * @returns {string}
+         * @private
+         */
+        function serialize(batch) {
+            if (this.options.format == 'ndjson')
+                return batch.map(function (entry) {return JSON.stringify(entry)}).join('\n') + '\n'
+            return JSON.stringify(batch)
         }
+
+        return {init: init, send: send, flush: flush, close: close, deliver: deliver, serialize: serialize}
     }()
 
     /**
-	 * @memberof iDebugConsole
-     * @class Obtains the original location for a debug statement when intercepted for screen output.
-     * @param options {object}
-     * @param options.url {string}      - Use when the debug url known.
-     * @param options.line {string}     - Use when the debug line is known.
-     * @param options.offset {integer}  - offset the baseIndex (determines where to slice a constructed stack)
-     * @param options.caller {object}  - The calling object
+     * @memberof iDebugConsole
+     * @class Delivers log records to a collector with HTTP POST requests.  Uses fetch (or
+     * XMLHttpRequest) and navigator.sendBeacon when the page is unloaded.
+     * @extends Transport
+     * @param options {object} - All {@link Transport} options and:
+     * @param options.url {string}                  - The collector endpoint.
+     * @param options.format {string} ["json"]      - Request body as a "json" array or "ndjson".
+     * @param options.headers {object} [{}]         - Additional request headers (not sent with beacons).
      * @constructor
-     * @private
+     *
+     * @example <caption>Tail the logs of a phone with a local stub server (node).</caption>
+     * require('http').createServer(function (req, res) {
+     *     res.setHeader('Access-Control-Allow-Origin', '*')
+     *     res.setHeader('Access-Control-Allow-Headers', 'Content-Type')
+     *     req.pipe(process.stdout)
+     *     req.on('end', function () {res.end()})
+     * }).listen(8080)
+     *
+     * iDebugger.addTransport(new iDebugConsole.HttpTransport({url:'http://192.168.1.10:8080', format:'ndjson'}))
      */
-    var LogLocation = function (options) {
-        options = options !== undefined ? options : {}
-        this.options = options
-        this.stack = []
-        this.url = options.url
-        this.path = ''
-        this.file = ''
-        this.line = options.line
-        this.col = options.col
-        this.str = ''
-        this.longStr = ''
-        this.caller = options.caller
-        this.func = ''
-        this.error = options.error
+    var HttpTransport = function (options) {
+        if (!options || !options.url)
+            throw ('iDebugError: HttpTransport requires options.url.')
+        this.init(options)
+    }
+    HttpTransport.prototype = function () {
+        var proto = Object.create(Transport.prototype)
+
+        proto.deliver = function (batch, final, done) {
+            var url = this.options.url
+            var type = this.options.format == 'ndjson' ? 'application/x-ndjson' : 'application/json'
+            var body = this.serialize(batch)
+
+            if (final && navigator.sendBeacon) {
+                // a string is sent as text/plain, other types need a CORS preflight which beacons can not do.
+                // sendBeacon only reports if the request was queued
+                done(navigator.sendBeacon(url, body) ? null : 'beacon')
+                return
+            }
 
-        if(!this.error)
-            try {
-                var e = new Error()
-                throw e
-            } catch (error) {
-                this.error =  error
+            var headers = {'Content-Type': type}
+            for (var h in this.options.headers || {})
+                headers[h] = this.options.headers[h]
+
+            if (window.fetch) {
+                fetch(url, {method: 'POST', headers: headers, body: body, keepalive: final}).then(
+                    function (res) {done(res.ok ? null : res.status)},
+                    function (error) {done(error || 'error')}
+                )
+                return
             }
 
-        this.init(this.error, options.offset)
+            var xhr = new XMLHttpRequest()
+            xhr.open('POST', url, true)
+            for (var h in headers)
+                xhr.setRequestHeader(h, headers[h])
+            xhr.onload = function () {done(xhr.status >= 200 && xhr.status < 300 ? null : xhr.status)}
+            xhr.onerror = function () {done('error')}
+            xhr.send(body)
+        }
+
+        return proto
+    }()
+
+    /**
+     * @memberof iDebugConsole
+     * @class Delivers log records to a collector over a WebSocket, one JSON record per message
+     * or one message per batch when options.format is "ndjson".  The socket is opened on the
+     * first delivery and opened again after it is closed.
+     * @extends Transport
+     * @param options {object} - All {@link Transport} options and:
+     * @param options.url {string}                  - The collector endpoint (ws:// or wss://).
+     * @param options.protocols {string|string[]}   - WebSocket sub protocols.
+     * @constructor
+     */
+    var WebSocketTransport = function (options) {
+        if (!options || !options.url)
+            throw ('iDebugError: WebSocketTransport requires options.url.')
+        this.socket = null
+        this.init(options)
     }
-    LogLocation.prototype = function () {
-        var baseIndex = 3
+    WebSocketTransport.prototype = function () {
+        var proto = Object.create(Transport.prototype)
+
+        proto.deliver = function (batch, final, done) {
+            var socket = this.socket
+            if (!socket || socket.readyState > 1) {
+                try {
+                    socket = this.socket = new WebSocket(this.options.url, this.options.protocols)
+                } catch (e) {
+                    return done(e)
+                }
+            }
 
-        function init(e, offset) {
-            this.stack = getStack(e, offset)
-            var url = this.url || e.url || this.stack[0] || "?"
-            var urlLoc = locFromUrl(url)
-            this.url = urlLoc.url
-            this.func = this.caller && this.caller.name ?  this.caller.name : urlLoc.func || "anonymous"
-            this.file = urlLoc.file || "?"
-            this.line = this.line || urlLoc.line || e.line || e.lineNumber || "?"
-            this.col = this.col || urlLoc.col || e.column || "?"
-            var str = [this.file, this.line, this.col].join(':')
-            this.str = "(" + str + ")"
-            this.longStr = "(" + this.func + '@' +  str + ")"
-        }
+            var write = function () {
+                try {
+                    if (this.options.format == 'ndjson')
+                        socket.send(this.serialize(batch))
+                    else
+                        for (var i in batch)
+                            socket.send(JSON.stringify(batch[i]))
+                    done(null)
+                } catch (e) {
+                    done(e)
+                }
+            }.bind(this)
 
-        function toString() {
-            return this.str
-        }
+            if (socket.readyState == 1)
+                return write()
+            // the page is unloading, there is no time to connect
+            if (final)
+                return done('closed')
 
-        function getStack(e, offset) {
-            var index = baseIndex + (offset || 0)
-            var stackS = e.stack || ""
-            var stackA = stackS.split('\n') || []
-            // remove internal
-            stackA = stackA.slice(index)
-            // create stackA if not available
-            if (!(stackA.length && stackA[0])) {
-                var currentFunction = arguments.callee;
-                while (currentFunction) {
-                    var fn = currentFunction.toString();
-                    var fname = currentFunction.name || fn.match(/function\s(\w+?)\s*\(/) || ["", "anonymous"];
-                    stackA.push(fname[1]);
-                    currentFunction = currentFunction.callee;
-                }
-                // remove internal
-                stackA = stackA.slice(index - 2)
-            }
-            return stackA
-        }
-
-        function locFromUrl(rawUrl) {
-            // safari rawUrl "funcName@proto://domain:port/path/to/file.ext:line:col"
-            // chrome rawUrl "    at Object.funcName (proto://domain:port/path/to/file.ext:line:col)"
-            var cleanUrl = rawUrl.trim().replace(/[@()]/g, '')
-            var proto = cleanUrl.match(/http:|https:|ftp:/) || '';
-            var urlSplit = cleanUrl.split(proto[0]) || ''
-            var func = urlSplit[0].replace(/at |Object\.|<anonymous>/g, '')
-            var url = [proto,urlSplit[1]].join('')
-            var locA, urlA, location
-            if (url) {
-                urlA = url.split('/') || ''
-                location = urlA.length ? urlA.pop() : ''
-                locA = location.split(':')
-            // For direct console input
-            }else{
-                locA = func.split(':')
-                locA[0] = 'console'
-                func = func.replace(/:\d:\d+/g, '')
+            var onOpen = function () {
+                socket.removeEventListener('error', onError)
+                write()
             }
-            return {
-                raw: rawUrl,
-                line: locA[1],
-                col: locA[2],
-                file: locA[0],
-                func: func,
-                url: url
+            var onError = function (e) {
+                socket.removeEventListener('open', onOpen)
+                done(e)
             }
+            socket.addEventListener('open', onOpen)
+            socket.addEventListener('error', onError)
         }
 
-        return {init: init, toString: toString}
+        return proto
     }()
 
     /**
@@ -1219,6 +4775,14 @@ var iDebugConsole = function() {
      * @param options.group {string} ["profileSite"]    - Group name, All instances in a group are
      *                                                  toggled active/inactive together
      * @param options.active {object} [true]            - Active / inactive state, overrides group state for one instance
+     * @param options.nested {bool} [false]             - Stopwatch starts inside a running span time a child span
+     *                                                  instead of stopping it, stop ends the innermost span.
+     *                                                  Print the span tree with printSpans()
+     * @param options.userTiming {bool} [true]          - Add a performance.measure of each result, named
+     *                                                  "group:name:segment", requires options.performance
+     * @param options.observe {bool|string[]} [false]   - Entry types of page metrics printed with the results,
+     *                                                  true for all of {@link Profiler.entryTypes}
+     * @param options.printCalls {bool} [true]          - Print the results after each call of a profiled function
      *
      *
      * @example <caption>Profile a function:</caption>
@@ -1238,6 +4802,13 @@ var iDebugConsole = function() {
      * MyClass = new Profiler(MyClass);
      * MyClass.prototype.myMethod = function(){}
      *
+     * @example <caption>Profile an async function:</caption>
+     * // Each call is timed until the returned promise settles, overlapping calls are timed separately.
+     * loadUser = new Profiler(async function loadUser(id) {
+     *     return await fetch('/user/' + id)
+     * });
+     * // Results have a status: "resolved" or "rejected", "returned" or "threw" and "done" for generators.
+     *
      * @example <caption>Toggle all profilers on or off:</caption>
      * // A the top of your file set the global group to true (on) or false (off)
      * // Setting global = off will disable all custom groups as well.
@@ -1269,6 +4840,30 @@ var iDebugConsole = function() {
      * siteTimer.stop();
      * // Now print the results of the three timed segments
      * siteTimer.printResults();
+     *
+     * @example <caption>Use Profiler as stop watch of nested spans:</caption>
+     * var pageTimer = new Profiler('page', {nested: true});
+     * pageTimer.start('render');
+     * pageTimer.start('layout');
+     * // a child of render..
+     * pageTimer.stop();
+     * pageTimer.stop();
+     * // Results have the total and self time
+     * pageTimer.printResults();
+     * // Print the span tree and it's flame chart
+     * pageTimer.printSpans();
+     *
+     * @example <caption>Print page metrics with the results:</caption>
+     * var loadTimer = new Profiler('load', {observe: ['longtask', 'paint']});
+     * // Long tasks and paints are printed with the results
+     * loadTimer.printResults();
+     *
+     * @example <caption>Profile all methods of a class:</caption>
+     * var timer = Profiler.instrument(MyClass, {exclude: [/^_/]});
+     * // use MyClass.., then print one report of all methods
+     * timer.printResults();
+     * // Restore the original methods
+     * timer.uninstrument();
 	 * @memberof iDebugConsole
      */
     var Profiler = function (objectToTime, name, options) {
@@ -1300,15 +4895,67 @@ var iDebugConsole = function() {
         this._active = true
         this.active(options.active);
         this.results = [];
+        this.nested = !!options.nested
+        this.spans = []
+        this.openSpans = []
+        this.spanCount = 0
         this.performance = options.performance === false ? false : !!window.performance;
+        this.userTiming = options.userTiming !== false && this.performance && !!window.performance.mark
+        this.entries = []
+        this.entryCount = 0
+        this.printedEntries = 0
+        this.measures = {}
+        this.observers = []
+        this.instrumented = []
+        this.printCalls = options.printCalls !== false
+        this._printCalls = options.printCalls // requested, see instrument
         this.useTable = console.table && options.table && !/MSIE|Edge/i.test(navigator.userAgent)
+        if (options.observe)
+            this.observe(options.observe === true ? undefined : options.observe)
 
         return this._initPrototype(objectToTime);
 
     };
     Profiler.groups = {global:true}
+
+    // Entry types observed by default
+    Profiler.entryTypes = ['longtask', 'paint', 'navigation', 'resource', 'event']
+
+    // Maximum observed entries kept by a profiler
+    Profiler.maxEntries = 200
+
+    // Maximum performance measures of a profiler segment, older measures are cleared
+    Profiler.maxMeasures = 100
+
+    // Maximum root spans kept by a nested profiler, older ended spans are removed
+    Profiler.maxSpans = 50
+
+    /**
+     * Profiles all methods, getters and setters of a class or object with one profiler.  Static
+     * methods of a class are included.  Results are named by method and summarized per method.
+     * @param target {function|object} - Class or object.
+     * @param [options] {object} - Profiler options and the options of {@link Profiler#instrument}.
+     * @returns {Profiler}
+     * @memberof Profiler
+     */
+    Profiler.instrument = function (target, options) {
+        options = options || {}
+        var profilerOptions = {}
+        for (var key in options) profilerOptions[key] = options[key]
+        profilerOptions.name = options.name || target.name || (target.constructor && target.constructor.name) || 'object'
+        var profiler = new Profiler(profilerOptions.name, profilerOptions)
+        profiler.instrument(target, options)
+        return profiler
+    }
+
+    // Properties of functions which are not methods
+    Profiler.ignoredProperties = ['constructor', 'length', 'name', 'prototype', 'arguments', 'caller']
+
     Profiler.prototype = function () {
-        console.info(navigator.userAgent)
+        nativeConsole.info.call(console, navigator.userAgent)
+
+        // Object name of profiler results in the view
+        var profilerCaller = {_debugObjectName: 'profiler', _debugNamespace: 'profiler'}
 
         function _initPrototype(objectToTime) {
 
@@ -1360,13 +5007,40 @@ var iDebugConsole = function() {
             return this._active && Profiler.groups[this._group];
         }
 
-        function decorate(objectToTime) {
+        /**
+         * Wraps a function to time each call.  Calls are timed independently so overlapping calls
+         * are supported.  A returned thenable is timed until it settles and returned unchanged, so
+         * deferreds keep their methods.  Generators are timed while running until they are done.
+         * Results have a status: "returned", "threw", "resolved", "rejected" or "done".
+         * @param objectToTime {function}
+         * @param [name] {string} - Name of the results, defaults to the profiler name.
+         * @returns {function}
+         * @private
+         */
+        function decorate(objectToTime, name) {
             var _this = this
+            var isGenerator = isGeneratorFunction(objectToTime)
             var profileWrapper = function () {
-                start.call(_this);
-                var retVal = objectToTime.apply(this, arguments);
-                //console.log('exicuting wrapper for ('+_this.currentName + ') this: ', this, ' retVal: '+retVal)
-                stop.call(_this, 'results');
+                if (!active.call(_this)) return objectToTime.apply(this, arguments)
+                var call = startCall.call(_this, name)
+                var retVal
+                try {
+                    retVal = objectToTime.apply(this, arguments);
+                } catch (e) {
+                    endCall.call(_this, call, 'threw')
+                    throw e
+                }
+                if (isGenerator && retVal && typeof retVal.next == 'function')
+                    return timeIterator.call(_this, retVal, call)
+                // the timing is a side chain, the rejection is still handled by the caller
+                if (isThenable(retVal))
+                    retVal.then(function () {
+                        endCall.call(_this, call, 'resolved')
+                    }, function () {
+                        endCall.call(_this, call, 'rejected')
+                    })
+                else
+                    endCall.call(_this, call, 'returned')
                 return retVal
             };
             profileWrapper.constructor = objectToTime
@@ -1380,30 +5054,435 @@ var iDebugConsole = function() {
             return this.performance ? window.performance.now() : new Date().getTime();
         }
 
+        // Starts the timer of one call of a decorated function
+        function startCall(name) {
+            return {name: name || this.currentName, start: currentTime.call(this), elapsed: 0}
+        }
+
+        // Adds the result of a call and prints the results, the elapsed time of generators is summed per step
+        function endCall(call, status, elapsed) {
+            if (!active.call(this)) return
+            var end = currentTime.call(this)
+            this.results.push({
+                name: call.name,
+                time: elapsed === undefined ? end - call.start : elapsed,
+                status: status});
+            measure.call(this, call.name, call.start, end)
+            if (this.printCalls) this.printResults();
+        }
+
+        /**
+         * Times the steps of a generator's iterator until it is done.  Steps of async generators are
+         * timed until their promise settles.
+         * @param iterator {object}
+         * @param call {object} - The call started by the decorated generator function.
+         * @returns {object} The iterator with timed next, throw and return methods.
+         * @private
+         */
+        function timeIterator(iterator, call) {
+            var _this = this
+            var ended = false
+            var end = function (status) {
+                if (ended) return
+                ended = true
+                endCall.call(_this, call, status, call.elapsed)
+            }
+            var wrap = function (method) {
+                var original = iterator[method]
+                if (typeof original != 'function') return
+                iterator[method] = function () {
+                    var stepStart = currentTime.call(_this)
+                    var step
+                    try {
+                        step = original.apply(iterator, arguments)
+                    } catch (e) {
+                        call.elapsed += currentTime.call(_this) - stepStart
+                        end('threw')
+                        throw e
+                    }
+                    if (isThenable(step)) {
+                        step.then(function (result) {
+                            call.elapsed += currentTime.call(_this) - stepStart
+                            if (result && result.done) end('done')
+                        }, function () {
+                            call.elapsed += currentTime.call(_this) - stepStart
+                            end('rejected')
+                        })
+                        return step
+                    }
+                    call.elapsed += currentTime.call(_this) - stepStart
+                    if (step && step.done) end('done')
+                    return step
+                }
+            }
+            wrap('next')
+            wrap('throw')
+            wrap('return')
+            return iterator
+        }
+
+        function isThenable(value) {
+            return value !== null && (typeof value == 'object' || typeof value == 'function') &&
+                typeof value.then == 'function'
+        }
+
+        function isGeneratorFunction(fn) {
+            return !!fn.constructor && /GeneratorFunction$/.test(fn.constructor.name)
+        }
+
         function start(name) {
             if (!active.call(this)) return
+            if (this.nested) return startSpan.call(this, name)
             if(this.running) stop.call(this)
             this.currentName = name || this.currentName;
-            this.startTime = currentTime();
+            this.startTime = currentTime.call(this);
             this.running = true;
         }
 
         var stop = function (print) {
-            this.stopTime = currentTime();
+            if (this.nested) return stopSpan.call(this, print)
+            this.stopTime = currentTime.call(this);
             this.running = false;
             if (active.call(this)) {
                 this.results.push({
                     name:this.currentName,
                     time:this.stopTime - this.startTime});
+                measure.call(this, this.currentName, this.startTime, this.stopTime)
                 if(print == 'elapsed') this.printElapsed();
                 else if(print) this.printResults();
             }
         };
 
+        /**
+         * Starts a span, inside a running span it is a child of that span.  Only the last
+         * {@link Profiler.maxSpans} root spans are kept.
+         * @param [name] {string}
+         * @private
+         */
+        function startSpan(name) {
+            var parent = this.openSpans[this.openSpans.length - 1]
+            if (!parent && this.spans.length >= Profiler.maxSpans)
+                this.spans.splice(0, this.spans.length - Profiler.maxSpans + 1)
+            var span = {
+                name: name || this.currentName || 'span ' + ++this.spanCount,
+                start: currentTime.call(this),
+                end: null,
+                total: 0,
+                self: 0,
+                depth: this.openSpans.length,
+                children: []
+            }
+            ;(parent ? parent.children : this.spans).push(span)
+            this.openSpans.push(span)
+            this.currentName = span.name
+            this.startTime = span.start
+            this.running = true
+        }
+
+        /**
+         * Stops the innermost running span and adds it's result.  Self time is the total time
+         * without the time of it's children.
+         * @param [print] {boolean|string} - See stop.
+         * @private
+         */
+        function stopSpan(print) {
+            var span = this.openSpans.pop()
+            if (!span) return
+            span.end = this.stopTime = currentTime.call(this)
+            span.total = span.end - span.start
+            span.self = span.total
+            for (var i in span.children)
+                span.self -= span.children[i].total
+            this.running = !!this.openSpans.length
+            if (active.call(this)) {
+                this.results.push({
+                    name: span.name,
+                    time: span.total,
+                    self: span.self,
+                    depth: span.depth});
+                measure.call(this, span.name, span.start, span.end)
+                if(print == 'elapsed') this.printElapsed();
+                else if(print) this.printResults();
+            }
+        }
+
+        /**
+         * Prints the span tree of a nested profiler as an indented report to the console and
+         * as a flame chart to the view.  Spans which are still running are not shown.
+         * @example
+         * var timer = new Profiler('page', {nested: true})
+         * timer.start('render')
+         * timer.start('layout'); layout(); timer.stop()
+         * timer.start('paint'); paint(); timer.stop()
+         * timer.stop()
+         * timer.printSpans()
+         * @memberof Profiler
+         */
+        function printSpans() {
+            var title = 'PROFILER SPANS FOR: ' + this.initName
+            var lines = []
+            var report = function (spans) {
+                for (var i in spans) {
+                    var span = spans[i]
+                    if (span.end === null) continue
+                    lines.push(Array(span.depth + 1).join('  ') + span.name +
+                        '  total: ' + span.total.toFixed(2) + ' ms  self: ' + span.self.toFixed(2) + ' ms')
+                    report(span.children)
+                }
+            }
+            report(this.spans)
+
+            Debugger.prototype.mirror('info', profilerCaller, [title, new FlameChart(this.spans)])
+            nativeConsole.log.call(console, title + '\n' + lines.join('\n'))
+        }
+
+        /**
+         * Adds a User Timing measure of a result so it is shown in the performance panel of the
+         * browser.  No marks are added, the measures of a segment are cleared when there are
+         * {@link Profiler.maxMeasures}.  Browsers without measure options (User Timing Level 3)
+         * add no measures.
+         * @param name {string} - Segment name
+         * @param start {number} - performance.now() time
+         * @param end {number}
+         * @private
+         */
+        function measure(name, start, end) {
+            if (!this.userTiming) return
+            var label = this._group + ':' + this.initName + (name && name != this.initName ? ':' + name : '')
+            try {
+                this.measures[label] = (this.measures[label] || 0) + 1
+                if (this.measures[label] > Profiler.maxMeasures) {
+                    window.performance.clearMeasures(label)
+                    this.measures[label] = 1
+                }
+                window.performance.measure(label, {start: start, end: end})
+            } catch (e) {
+                // Level 2 takes the options as a mark name and throws, it's marks can not be timed
+                this.userTiming = false
+            }
+        }
+
+        /**
+         * Keeps performance entries of the page, such as long tasks and paints, to print them with
+         * the results.  Entries before the profiler was created are included.
+         * @param [entryTypes] {string[]} - Entry types, unsupported types are ignored.
+         *                                Defaults to {@link Profiler.entryTypes}.
+         * @returns {string[]} The observed entry types.
+         * @memberof Profiler
+         */
+        function observe(entryTypes) {
+            var _this = this
+            var observed = []
+            if (!window.PerformanceObserver) return observed
+            entryTypes = entryTypes || Profiler.entryTypes
+            var supported = PerformanceObserver.supportedEntryTypes
+            for (var i in entryTypes) {
+                var type = entryTypes[i]
+                if (supported && supported.indexOf(type) < 0) continue
+                try {
+                    var observer = new PerformanceObserver(function (list) {
+                        addEntries.call(_this, list.getEntries())
+                    })
+                    observer.observe(type == 'event' ?
+                        {type: type, buffered: true, durationThreshold: 16} :
+                        {type: type, buffered: true})
+                    this.observers.push(observer)
+                    observed.push(type)
+                } catch (e) {
+                    // the type is not supported
+                }
+            }
+            return observed
+        }
+
+        /**
+         * Profiles the methods, getters and setters of a class or object.  Inherited methods are
+         * profiled on the target, the prototype chain is not changed.  Methods profiled already,
+         * by any profiler, are skipped.  When a method can not be profiled, for example of a frozen
+         * object, the methods profiled so far are restored and the error is thrown.
+         * @param target {function|object} - Class or object, static methods of a class are included.
+         * @param [options] {object}
+         * @param [options.include] {Array<string|RegExp>} - Only profile these methods.
+         * @param [options.exclude] {Array<string|RegExp>} - Do not profile these methods.
+         * @param [options.printCalls=false] {bool} - Print the results after each call, defaults to
+         * the printCalls option of the profiler when it was set.
+         * @returns {string[]} Names of the results of the profiled methods.
+         * @memberof Profiler
+         */
+        function instrument(target, options) {
+            options = options || {}
+            if (!target || (typeof target != 'object' && typeof target != 'function'))
+                throw 'Profiler.instrument needs a class or an object.'
+
+            var requested = options.printCalls !== undefined ? options.printCalls : this._printCalls
+            this.printCalls = requested === true
+
+            var names = []
+            var count = this.instrumented.length
+            try {
+                if (typeof target == 'function') {
+                    names = names.concat(instrumentHolder.call(this, target, 'static ', options))
+                    if (target.prototype)
+                        names = names.concat(instrumentHolder.call(this, target.prototype, '', options))
+                }
+                else
+                    names = instrumentHolder.call(this, target, '', options)
+            } catch (e) {
+                restore.call(this, count)
+                throw e
+            }
+            return names
+        }
+
+        /**
+         * Profiles the methods of an object and it's prototype chain, until the prototype of
+         * objects or functions, by defining profiled properties on the object.
+         * @param holder {object}
+         * @param prefix {string} - Prefix of the result names.
+         * @param options {object} - See instrument.
+         * @returns {string[]}
+         * @private
+         */
+        function instrumentHolder(holder, prefix, options) {
+            var names = []
+            var seen = {}
+            for (var proto = holder; proto && proto !== Object.prototype && proto !== Function.prototype;
+                 proto = Object.getPrototypeOf(proto)) {
+                var keys = Object.getOwnPropertyNames(proto)
+                for (var i in keys) {
+                    var key = keys[i]
+                    if (seen[key]) continue
+                    seen[key] = true
+                    if (Profiler.ignoredProperties.indexOf(key) > -1) continue
+                    if (!matches(key, options.include, true) || matches(key, options.exclude, false)) continue
+
+                    var descriptor = Object.getOwnPropertyDescriptor(proto, key)
+                    var own = proto === holder
+                    if (own && !descriptor.configurable) continue
+                    if (isProfiled(descriptor.value) || isProfiled(descriptor.get) || isProfiled(descriptor.set))
+                        continue
+                    var profiled = {configurable: true, enumerable: descriptor.enumerable}
+                    if (descriptor.get || descriptor.set) {
+                        if (descriptor.get) profiled.get = decorate.call(this, descriptor.get, prefix + 'get ' + key)
+                        if (descriptor.set) profiled.set = decorate.call(this, descriptor.set, prefix + 'set ' + key)
+                    }
+                    else if (isMethod(descriptor.value)) {
+                        profiled.value = decorate.call(this, descriptor.value, prefix + key)
+                        profiled.writable = descriptor.writable
+                    }
+                    else continue
+
+                    Object.defineProperty(holder, key, profiled)
+                    this.instrumented.push({holder: holder, key: key, descriptor: own ? descriptor : null})
+                    names.push(prefix + key)
+                }
+            }
+            return names
+        }
+
+        /**
+         * Restores the original methods of the instrumented classes and objects.  Results are kept.
+         * @memberof Profiler
+         */
+        function uninstrument() {
+            restore.call(this, 0)
+        }
+
+        // Restores the methods profiled after the first count, the last profiled first
+        function restore(count) {
+            for (var i = this.instrumented.length - 1; i >= count; i--) {
+                var item = this.instrumented[i]
+                if (item.descriptor)
+                    Object.defineProperty(item.holder, item.key, item.descriptor)
+                else
+                    delete item.holder[item.key]
+            }
+            this.instrumented.splice(count)
+        }
+
+        // Functions decorated by a profiler
+        function isProfiled(value) {
+            return typeof value == 'function' && !!value.profiler
+        }
+
+        // Functions which are not classes, calling a class without new throws
+        function isMethod(value) {
+            return typeof value == 'function' && !/^class\b/.test(Function.prototype.toString.call(value))
+        }
+
+        // Whether a name matches a name or RegExp of the patterns, empty patterns return the default
+        function matches(name, patterns, empty) {
+            if (patterns === undefined || patterns === null) return empty
+            patterns = [].concat(patterns)
+            if (!patterns.length) return empty
+            for (var i in patterns)
+                if (patterns[i] instanceof RegExp ? patterns[i].test(name) : patterns[i] === name) return true
+            return false
+        }
+
+        /**
+         * Stops observing performance entries, the kept entries are still printed.
+         * @memberof Profiler
+         */
+        function disconnect() {
+            for (var i in this.observers)
+                this.observers[i].disconnect()
+            this.observers = []
+        }
+
+        // Keeps the latest entries
+        function addEntries(entries) {
+            for (var i = 0; i < entries.length; i++)
+                this.entries.push({
+                    index: this.entryCount++,
+                    type: entries[i].entryType,
+                    name: entries[i].name,
+                    start: entries[i].startTime,
+                    duration: entries[i].duration})
+            if (this.entries.length > Profiler.maxEntries)
+                this.entries.splice(0, this.entries.length - Profiler.maxEntries)
+        }
+
+        /**
+         * Prints the observed performance entries which were not printed yet, see {@link Profiler#observe}.
+         * printResults prints new entries as well.
+         * @param [all=false] {bool} - Print all kept entries.
+         * @memberof Profiler
+         */
+        function printEntries(all) {
+            var msDp = 2
+            var title = 'PAGE METRICS FOR: ' + this.initName
+            var rows = {}
+            for (var i in this.entries) {
+                var entry = this.entries[i]
+                if (!all && entry.index < this.printedEntries) continue
+                rows[entry.index + ' ' + entry.type] = {
+                    name: entry.name,
+                    start: entry.start.toFixed(msDp),
+                    duration: entry.duration.toFixed(msDp)}
+            }
+            this.printedEntries = this.entryCount
+
+            Debugger.prototype.mirror('info', profilerCaller, [title])
+            Debugger.prototype.mirror('table', profilerCaller, [rows])
+
+            if (this.useTable) {
+                nativeConsole.info.call(console, title)
+                nativeConsole.table.call(console, rows)
+            }
+            else {
+                var output = title
+                for (var key in rows)
+                    output += '\n| [' + key + '] ' + rows[key].name + '  start:' + rows[key].start +
+                        '  duration:' + rows[key].duration
+                nativeConsole.log.call(console, output)
+            }
+        }
+
         var getElapsedMilliseconds = function () {
 
             if (this.running) {
-                this.stopTime = currentTime();
+                this.stopTime = currentTime.call(this);
             }
 
             return this.stopTime - this.startTime;
@@ -1417,7 +5496,7 @@ var iDebugConsole = function() {
         var printElapsed = function (name) {
 
             this.currentName = name || this.currentName;
-            console.log(this.currentName + ' [Elapsed Time] = ', '[ms:' + getElapsedMilliseconds.call(this) + '] [s: ' + getElapsedSeconds.call(this) + ']');
+            nativeConsole.log.call(console, this.currentName + ' [Elapsed Time] = ', '[ms:' + getElapsedMilliseconds.call(this) + '] [s: ' + getElapsedSeconds.call(this) + ']');
         };
 
         var printResults = function (name) {
@@ -1430,6 +5509,7 @@ var iDebugConsole = function() {
             var secDp = 6
             var rows = {}
             var row, sec, msec
+            var stats = summary.call(this)
 
             // add results to rows
             for (var i in this.results) {
@@ -1451,6 +5531,9 @@ var iDebugConsole = function() {
                 row = {
                     ms:msec,s: sec
                 }
+                if (result.status) row.status = result.status
+                if (result.self !== undefined) row.self = result.self.toFixed(msDp)
+                if (stats.segments[result.name].outliers.indexOf(+i) > -1) row.outlier = '*'
                 rows[i+name] = row;
                 this.prevName = name
             }
@@ -1463,10 +5546,22 @@ var iDebugConsole = function() {
             rows['total'] = {ms:msTotal , s: secTotal};
             rows['avrg'] = {ms:msAverg , s: secAverg};
 
+            // Add the statistics of each segment and all results
+            var summaryRows = {}
+            for (var segment in stats.segments)
+                summaryRows[segment] = statsRow(stats.segments[segment], msDp)
+            summaryRows['(all)'] = statsRow(stats.overall, msDp)
+
+            // Show a table in the view
+            Debugger.prototype.mirror('info', profilerCaller, ['PROFILER RESULTS FOR: ' + this.initName])
+            Debugger.prototype.mirror('table', profilerCaller, [rows])
+            Debugger.prototype.mirror('table', profilerCaller, [summaryRows])
+
             // Use console.table
             if (this.useTable) {
-                console.info('PROFILER RESULTS FOR: ' + this.initName +' ');
-                console.table(rows)
+                nativeConsole.info.call(console, 'PROFILER RESULTS FOR: ' + this.initName +' ');
+                nativeConsole.table.call(console, rows)
+                nativeConsole.table.call(console, summaryRows)
             }
             // Use console.log
             else {
@@ -1490,15 +5585,119 @@ var iDebugConsole = function() {
                     var spacer = longIndex-i.length
                     if (spacer) spacer = Array(spacer).join(' ')
                     else spacer = ''
-                    output += '| ['+i+']'+spacer+'  \t= [ms:' + row.ms + ']  \t[s:' + row.s + '] \r';
+                    output += '| ['+i+']'+spacer+'  \t= [ms:' + row.ms + ']  \t[s:' + row.s + ']' +
+                        (row.self ? '  \t[self:' + row.self + ']' : '') +
+                        (row.status ? '  \t' + row.status : '') + (row.outlier ? '  \toutlier' : '') + ' \r';
+                }
+                output += Array(breakLen).join('-')+ '\r'
+                for (var segment in summaryRows) {
+                    row = summaryRows[segment]
+                    output += '| [' + segment + '] n:' + row.count + ' min:' + row.min + ' max:' + row.max +
+                        ' median:' + row.median + ' p90:' + row.p90 + ' p95:' + row.p95 + ' p99:' + row.p99 +
+                        ' sd:' + row.stddev + (row.outliers ? ' outliers:' + row.outliers : '') + '\r'
                 }
                 output += breakLine;
-                console.log(output)
+                nativeConsole.log.call(console, output)
             }
+
+            if (this.entryCount > this.printedEntries)
+                printEntries.call(this)
         };
 
 
 
+        /**
+         * Returns statistics of the results in ms for each segment name and for all results.
+         * Outliers are the indexes of results outside 1.5 interquartile ranges of the quartiles.
+         * @returns {{overall:Profiler~Stats, segments:Object.<string, Profiler~Stats>}}
+         * @example
+         * var timer = new Profiler('render')
+         * timer.start('layout'); layout(); timer.start('paint'); paint(); timer.stop()
+         * timer.summary().segments.paint.p95
+         * @memberof Profiler
+         */
+        function summary() {
+            var all = [], bySegment = {}
+            for (var i in this.results) {
+                var result = this.results[i]
+                var sample = {index: +i, time: result.time}
+                all.push(sample)
+                bySegment[result.name] = bySegment[result.name] || []
+                bySegment[result.name].push(sample)
+            }
+            var segments = {}
+            for (var name in bySegment)
+                segments[name] = statistics(bySegment[name])
+            return {overall: statistics(all), segments: segments}
+        }
+
+        /**
+         * @typedef {object} Profiler~Stats
+         * @property {integer} count
+         * @property {number} total
+         * @property {number} mean
+         * @property {number} min
+         * @property {number} max
+         * @property {number} median
+         * @property {number} p90
+         * @property {number} p95
+         * @property {number} p99
+         * @property {number} stddev   - Population standard deviation.
+         * @property {integer[]} outliers - Indexes of the outlying results.
+         */
+
+        // Returns the statistics of samples: [{index, time}]
+        function statistics(samples) {
+            var times = samples.map(function (sample) {return sample.time}).sort(function (a, b) {return a - b})
+            var count = times.length
+            var total = 0
+            for (var i in times) total += times[i]
+            var mean = count ? total / count : 0
+            var variance = 0
+            for (var j in times) variance += Math.pow(times[j] - mean, 2)
+
+            // Tukey's fences
+            var q1 = percentile(times, 25), q3 = percentile(times, 75)
+            var fence = 1.5 * (q3 - q1)
+            var outliers = []
+            for (var k in samples)
+                if (samples[k].time < q1 - fence || samples[k].time > q3 + fence)
+                    outliers.push(samples[k].index)
+
+            return {
+                count: count,
+                total: total,
+                mean: mean,
+                min: count ? times[0] : 0,
+                max: count ? times[count - 1] : 0,
+                median: percentile(times, 50),
+                p90: percentile(times, 90),
+                p95: percentile(times, 95),
+                p99: percentile(times, 99),
+                stddev: count ? Math.sqrt(variance / count) : 0,
+                outliers: outliers
+            }
+        }
+
+        // Linear interpolation between the closest ranks of sorted values
+        function percentile(sorted, p) {
+            if (!sorted.length) return 0
+            var rank = (p / 100) * (sorted.length - 1)
+            var lower = Math.floor(rank)
+            var upper = Math.ceil(rank)
+            return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower)
+        }
+
+        // Formats statistics as a row of printResults
+        function statsRow(stats, dp) {
+            var row = {count: stats.count}
+            var props = ['min', 'max', 'mean', 'median', 'p90', 'p95', 'p99', 'stddev']
+            for (var i in props)
+                row[props[i]] = stats[props[i]].toFixed(dp)
+            row.outliers = stats.outliers.length
+            return row
+        }
+
         return {
             _initPrototype: _initPrototype,
             start: start,
@@ -1506,11 +5705,29 @@ var iDebugConsole = function() {
             group: group,
             active: active,
             printElapsed: printElapsed,
-            printResults: printResults
+            printResults: printResults,
+            printSpans: printSpans,
+            printEntries: printEntries,
+            summary: summary,
+            observe: observe,
+            disconnect: disconnect,
+            instrument: instrument,
+            uninstrument: uninstrument
         };
     }();
 
-    return {Debugger:Debugger, Profiler:Profiler}
+    // Marks the last line of iDebugConsole.
+    var moduleEnd
+    try { throw new Error() } catch (e) { moduleEnd = e }
+
+    return {
+        Debugger:Debugger,
+        Profiler:Profiler,
+        Transport:Transport,
+        HttpTransport:HttpTransport,
+        WebSocketTransport:WebSocketTransport,
+        LogLocation:LogLocation
+    }
 }()
 
 // create a debugger for the root scope
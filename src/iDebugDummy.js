@@ -18,7 +18,26 @@ var iDebugConsole = iDebugConsole || function() {
         off: function(){},
         on: function(){},
         global: function(){},
+        globalState: function(){return 'off'},
+        levels: {trace:0, debug:1, log:2, info:3, warn:4, error:5, off:6},
+        enable: function(){},
+        disable: function(){},
+        enabled: function(){return false},
+        unregister: function(){},
+        debuggers: function(){return []},
+        objects: function(){return []},
+        records: function(){return []},
+        clearRecords: function(){},
+        exportLogs: function(){return ''},
+        layout: function(){return null},
+        resetLayout: function(){},
+        clearHistory: function(){},
+        addTransport: function(){return []},
+        removeTransport: function(){return []},
+        interceptConsole: function(){},
+        restoreConsole: function(){},
         initView: function(){},
+        setGlobalOptions: function(){},
     }
     window.iDebugger = new Debugger({window: this})
 
@@ -27,15 +46,51 @@ var iDebugConsole = iDebugConsole || function() {
         return f
     };
     Profiler.groups = {global:true}
+    Profiler.instrument = function(){return Object.create(Profiler.prototype)}
     Profiler.prototype={
         start: function(){},
         stop: function(){},
         group: function(g){if(g) Profiler.groups[g] = true},
         active: function(){},
         printElapsed: function(){},
-        printResults: function(){}
+        printResults: function(){},
+        printSpans: function(){},
+        printEntries: function(){},
+        observe: function(){return []},
+        disconnect: function(){},
+        instrument: function(){return []},
+        uninstrument: function(){},
+        summary: function(){return {overall: {}, segments: {}}}
     };
-    return {Debugger:Debugger, Profiler:Profiler}
+    var LogLocation = function (){
+        this.frames = []
+        this.stack = []
+        this.func = 'anonymous'
+        this.file = this.line = this.col = '?'
+        this.str = this.longStr = ''
+    };
+    LogLocation.prototype = {
+        toString: function(){return ''},
+        onResolve: function(callback){callback(this)},
+        parseStack: function(){return []}
+    }
+    LogLocation.parseStack = LogLocation.prototype.parseStack
+
+    var Transport = function (){};
+    Transport.prototype = {
+        send: function(){},
+        flush: function(){},
+        close: function(){}
+    }
+
+    return {
+        Debugger:Debugger,
+        Profiler:Profiler,
+        LogLocation:LogLocation,
+        Transport:Transport,
+        HttpTransport:Transport,
+        WebSocketTransport:Transport
+    }
 }();
 
 
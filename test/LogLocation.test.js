@@ -0,0 +1,47 @@
+/**
+ * Parses the stack traces of each engine in fixtures/stacks.js and checks the location of each frame.
+ * Run with `node test/LogLocation.test.js`.
+ */
+var assert = require('assert')
+var load = require('./load')
+var stacks = require('./fixtures/stacks')
+
+var LogLocation = load().iDebugConsole.LogLocation
+var failed = 0
+
+function test(name, fn) {
+    try {
+        fn()
+        console.log('ok - ' + name)
+    } catch (e) {
+        failed++
+        console.log('not ok - ' + name + '\n  ' + e.message.replace(/\n/g, '\n  '))
+    }
+}
+
+Object.keys(stacks).forEach(function (engine) {
+    test(engine + ' stack frames', function () {
+        var frames = LogLocation.parseStack(stacks[engine].stack)
+        var expected = stacks[engine].frames
+        assert.strictEqual(frames.length, expected.length, 'frame count')
+        expected.forEach(function (want, i) {
+            var got = frames[i]
+            var msg = engine + ' frame ' + i + ': ' + got.raw
+            assert.strictEqual(got.func, want.func, msg + ' func')
+            assert.strictEqual(got.file, want.file, msg + ' file')
+            assert.strictEqual(got.line, want.line, msg + ' line')
+            assert.strictEqual(got.col, want.col, msg + ' col')
+            assert.strictEqual(got.isNative, !!want.isNative, msg + ' isNative')
+            assert.strictEqual(got.isEval, !!want.isEval, msg + ' isEval')
+        })
+    })
+})
+
+test('frames of iDebugConsole are skipped', function () {
+    // the first frame is this file, not LogLocation within iDebugConsole.js
+    var loc = new LogLocation(), here = LogLocation.parseStack(new Error().stack)[0]
+    assert.strictEqual(loc.file, 'LogLocation.test.js')
+    assert.strictEqual(loc.line, here.line)
+})
+
+process.exitCode = failed ? 1 : 0
@@ -0,0 +1,181 @@
+/**
+ * Delivers log records to a local stub server with HttpTransport.
+ * Run with `node test/Transport.test.js`.
+ */
+var assert = require('assert')
+var http = require('http')
+var load = require('./load')
+
+var beacons = []
+var window = load({
+    iDebugMode: true,
+    fetch: fetch,
+    navigator: {
+        userAgent: 'node',
+        sendBeacon: function (url, body) {
+            beacons.push(body)
+            fetch(url, {method: 'POST', body: body})
+            return true
+        }
+    }
+})
+var iDebugConsole = window.iDebugConsole
+var requests = []
+var failNext = 0
+
+// Collects the requests, answers 500 while failNext is set
+var server = http.createServer(function (req, res) {
+    var body = ''
+    req.on('data', function (chunk) {body += chunk})
+    req.on('end', function () {
+        requests.push({type: req.headers['content-type'], body: body})
+        res.statusCode = failNext-- > 0 ? 500 : 200
+        res.end()
+    })
+})
+
+var tests = []
+function test(name, fn) {
+    tests.push({name: name, fn: fn})
+}
+
+// Resolves when the server received count requests
+function received(count) {
+    return new Promise(function (resolve, reject) {
+        var waited = 0
+        var check = setInterval(function () {
+            if (requests.length >= count) {
+                clearInterval(check)
+                resolve(requests.splice(0, count))
+            }
+            else if ((waited += 10) > 2000) {
+                clearInterval(check)
+                reject(new Error('received ' + requests.length + ' of ' + count + ' requests'))
+            }
+        }, 10)
+    })
+}
+
+function wait(ms) {
+    return new Promise(function (resolve) {setTimeout(resolve, ms)})
+}
+
+function transport(options) {
+    options.url = 'http://localhost:' + server.address().port + '/logs'
+    return new iDebugConsole.HttpTransport(options)
+}
+
+test('delivers a batch of records as a JSON array', function () {
+    var model = {id: 'm1'}
+    new iDebugConsole.Debugger({model: model}, true)
+    var t = transport({batchSize: 2, interval: 1000})
+    window.iDebugger.addTransport(t)
+    model.debug.warn('first %d', 1)
+    model.debug.info('second', {a: 1})
+    return received(1).then(function (requests) {
+        window.iDebugger.removeTransport(t)
+        var batch = JSON.parse(requests[0].body)
+        assert.strictEqual(requests[0].type, 'application/json')
+        assert.deepStrictEqual(batch.map(function (entry) {return entry.level}), ['warn', 'info'])
+        assert.strictEqual(batch[0].message, 'first 1')
+        assert.strictEqual(batch[0].object, 'model')
+        assert.deepStrictEqual(batch[1].args[1], {a: 1})
+    })
+})
+
+test('delivers ndjson after the interval', function () {
+    var t = transport({format: 'ndjson', interval: 20})
+    t.send({level: 'log', args: ['one'], time: Date.now()})
+    t.send({level: 'log', args: ['two'], time: Date.now()})
+    return received(1).then(function (requests) {
+        t.close()
+        var lines = requests[0].body.trim().split('\n').map(JSON.parse)
+        assert.strictEqual(requests[0].type, 'application/x-ndjson')
+        assert.deepStrictEqual(lines.map(function (entry) {return entry.message}), ['one', 'two'])
+    })
+})
+
+test('retries a failed batch', function () {
+    failNext = 1
+    var t = transport({interval: 0, backoff: 20})
+    t.send({level: 'error', args: ['retried'], time: Date.now()})
+    return received(2).then(function (requests) {
+        t.close()
+        assert.strictEqual(requests[0].body, requests[1].body)
+        assert.strictEqual(JSON.parse(requests[1].body)[0].message, 'retried')
+    })
+})
+
+test('sends a text/plain beacon when the page is hidden', function () {
+    var t = transport({interval: 1000})
+    t.send({level: 'info', args: ['unloading'], time: Date.now()})
+    window.dispatchEvent(new Event('pagehide'))
+    return received(1).then(function (requests) {
+        t.close()
+        assert.strictEqual(typeof beacons[0], 'string')
+        assert.strictEqual(requests[0].type, 'text/plain;charset=UTF-8')
+        assert.strictEqual(JSON.parse(requests[0].body)[0].message, 'unloading')
+    })
+})
+
+test('a removed transport is not flushed when the page is hidden', function () {
+    var t = transport({interval: 1000})
+    window.iDebugger.addTransport(t)
+    window.iDebugger.removeTransport(t)
+    t.queue.push({message: 'queued after removal'})
+    beacons = []
+    window.dispatchEvent(new Event('pagehide'))
+    return wait(50).then(function () {
+        assert.strictEqual(beacons.length, 0)
+        assert.strictEqual(requests.length, 0)
+    })
+})
+
+test('waits for the source maps of a location', function () {
+    var callbacks = []
+    var loc = {file: 'bundle.js', line: 1, col: 200, resolving: true,
+        onResolve: function (callback) {callbacks.push(callback)}}
+    var t = transport({interval: 0})
+    t.send({level: 'info', args: ['mapped'], time: Date.now(), loc: loc})
+    return wait(50).then(function () {
+        assert.strictEqual(requests.length, 0)
+        loc.file = 'app.js'
+        loc.line = 12
+        loc.resolving = false
+        callbacks.forEach(function (callback) {callback(loc)})
+        return received(1)
+    }).then(function (requests) {
+        t.close()
+        var location = JSON.parse(requests[0].body)[0].location
+        assert.strictEqual(location.file, 'app.js')
+        assert.strictEqual(location.line, 12)
+    })
+})
+
+test('a throwing transport keeps it\'s records for a retry', function () {
+    var t = transport({interval: 1000, backoff: 1000})
+    t.deliver = function () {throw new Error('broken')}
+    t.send({level: 'info', args: ['kept'], time: Date.now()})
+    t.flush(true)
+    t.close()
+    clearTimeout(t.timer)
+    assert.strictEqual(t.queue.length, 1)
+    assert.strictEqual(t.sending, false)
+})
+
+server.listen(0, function () {
+    var failed = 0
+    tests.reduce(function (previous, item) {
+        return previous.then(function () {
+            return Promise.resolve().then(item.fn).then(function () {
+                console.log('ok - ' + item.name)
+            }, function (e) {
+                failed++
+                console.log('not ok - ' + item.name + '\n  ' + e.message.replace(/\n/g, '\n  '))
+            })
+        })
+    }, Promise.resolve()).then(function () {
+        server.close()
+        process.exitCode = failed ? 1 : 0
+    })
+})
@@ -0,0 +1,105 @@
+/**
+ * Stack traces of each engine for the same calls: loadUser called by init, called by an anonymous
+ * function at the top level of app.js.  `frames` are the expected parsed frames, in order.
+ */
+module.exports = {
+
+    v8: {
+        stack: [
+            'Error: boom',
+            '    at loadUser (https://example.com/js/app.js:10:15)',
+            '    at Object.init (https://example.com/js/app.js:42:5)',
+            '    at https://example.com/js/app.js:50:3',
+            '    at Array.forEach (<anonymous>)',
+            '    at new Model (webpack:///./src/model.js?:12:9)',
+            '    at async fetchUser (https://example.com/js/api.js?v=2:3:11)',
+            '    at async Promise.all (index 0)',
+            '    at render [as draw] (https://example.com/js/view.js:22:14)',
+            '    at eval (eval at render (https://example.com/js/app.js:5:3), <anonymous>:1:1)',
+            '    at HTMLButtonElement.onClick (blob:https://example.com/0f8e-42:7:21)'
+        ].join('\n'),
+        frames: [
+            {func: 'loadUser', file: 'app.js', line: 10, col: 15},
+            {func: 'init', file: 'app.js', line: 42, col: 5},
+            {func: '', file: 'app.js', line: 50, col: 3},
+            {func: 'Array.forEach', file: '', line: undefined, col: undefined, isNative: true},
+            {func: 'new Model', file: 'model.js', line: 12, col: 9},
+            {func: 'fetchUser', file: 'api.js', line: 3, col: 11},
+            {func: 'Promise.all', file: '', line: undefined, col: undefined, isNative: true},
+            {func: 'render', file: 'view.js', line: 22, col: 14},
+            {func: 'eval', file: 'app.js', line: 5, col: 3, isEval: true},
+            {func: 'HTMLButtonElement.onClick', file: '0f8e-42', line: 7, col: 21}
+        ]
+    },
+
+    gecko: {
+        stack: [
+            'loadUser@https://example.com/js/app.js:10:15',
+            'init@https://example.com/js/app.js:42:5',
+            '@https://example.com/js/app.js:50:3',
+            'render/<@https://example.com/js/view.js:22:14',
+            'async*fetchUser@https://example.com/js/api.js?v=2:3:11',
+            'Model@webpack-internal:///./src/model.js:12:9',
+            'evaluate@https://example.com/js/app.js line 5 > eval:1:1',
+            'handler@https://example.com/js/app.js line 8 > Function:2:4',
+            ''
+        ].join('\n'),
+        frames: [
+            {func: 'loadUser', file: 'app.js', line: 10, col: 15},
+            {func: 'init', file: 'app.js', line: 42, col: 5},
+            {func: '', file: 'app.js', line: 50, col: 3},
+            {func: 'render', file: 'view.js', line: 22, col: 14},
+            {func: 'fetchUser', file: 'api.js', line: 3, col: 11},
+            {func: 'Model', file: 'model.js', line: 12, col: 9},
+            {func: 'evaluate', file: 'app.js', line: 5, col: undefined, isEval: true},
+            {func: 'handler', file: 'app.js', line: 8, col: undefined, isEval: true}
+        ]
+    },
+
+    jsc: {
+        stack: [
+            'loadUser@https://example.com/js/app.js:10:15',
+            'init@https://example.com/js/app.js:42:5',
+            'https://example.com/js/app.js:50:3',
+            'forEach@[native code]',
+            'fetchUser@https://example.com/js/api.js?v=2:3:11',
+            'eval code@',
+            'eval@[native code]',
+            'module code@https://example.com/js/main.js:1:8',
+            'global code@https://example.com/index.html:40:12'
+        ].join('\n'),
+        frames: [
+            {func: 'loadUser', file: 'app.js', line: 10, col: 15},
+            {func: 'init', file: 'app.js', line: 42, col: 5},
+            {func: '', file: 'app.js', line: 50, col: 3},
+            {func: 'forEach', file: '', line: undefined, col: undefined, isNative: true},
+            {func: 'fetchUser', file: 'api.js', line: 3, col: 11},
+            {func: 'eval code', file: '', line: undefined, col: undefined, isEval: true},
+            {func: 'eval', file: '', line: undefined, col: undefined, isNative: true, isEval: true},
+            {func: 'module code', file: 'main.js', line: 1, col: 8},
+            {func: 'global code', file: 'index.html', line: 40, col: 12}
+        ]
+    },
+
+    chakra: {
+        stack: [
+            'Error: boom',
+            '   at loadUser (https://example.com/js/app.js:10:15)',
+            '   at init (https://example.com/js/app.js:42:5)',
+            '   at Anonymous function (https://example.com/js/app.js:50:3)',
+            '   at Array.prototype.forEach (native code)',
+            '   at fetchUser (https://example.com/js/api.js?v=2:3:11)',
+            '   at eval code (eval code:1:1)',
+            '   at Global code (https://example.com/index.html:40:12)'
+        ].join('\n'),
+        frames: [
+            {func: 'loadUser', file: 'app.js', line: 10, col: 15},
+            {func: 'init', file: 'app.js', line: 42, col: 5},
+            {func: '', file: 'app.js', line: 50, col: 3},
+            {func: 'Array.prototype.forEach', file: '', line: undefined, col: undefined, isNative: true},
+            {func: 'fetchUser', file: 'api.js', line: 3, col: 11},
+            {func: 'eval code', file: '', line: undefined, col: undefined, isEval: true},
+            {func: '', file: 'index.html', line: 40, col: 12}
+        ]
+    }
+}
@@ -0,0 +1,40 @@
+/**
+ * Loads iDebugConsole.js in a sandbox with the browser globals it needs at load time.  Tests run
+ * with plain node: `node test/<name>.test.js`.
+ * @param [globals] {object} - Additional or replaced globals, such as fetch or navigator.
+ * @returns {object} The sandbox window, window.iDebugConsole is the module.
+ */
+var vm = require('vm')
+var fs = require('fs')
+var path = require('path')
+
+var file = path.join(__dirname, '..', 'src', 'iDebugConsole.js')
+
+module.exports = function load(globals) {
+    var window = {
+        console: {log: function () {}, info: function () {}, warn: function () {}, error: function () {},
+            debug: function () {}, trace: function () {}},
+        navigator: {userAgent: 'node'},
+        document: {documentElement: {}, visibilityState: 'visible'},
+        location: {origin: 'http://localhost', href: 'http://localhost/'},
+        setTimeout: setTimeout,
+        clearTimeout: clearTimeout
+    }
+    listen(window)
+    listen(window.document)
+    for (var key in globals)
+        window[key] = globals[key]
+    window.window = window
+    vm.createContext(window)
+    vm.runInContext(fs.readFileSync(file, 'utf8') + '\nwindow.iDebugConsole = iDebugConsole', window,
+        {filename: file})
+    return window
+}
+
+// Adds addEventListener, removeEventListener and dispatchEvent of an EventTarget to an object
+function listen(object) {
+    var target = new EventTarget()
+    object.addEventListener = target.addEventListener.bind(target)
+    object.removeEventListener = target.removeEventListener.bind(target)
+    object.dispatchEvent = target.dispatchEvent.bind(target)
+}